@@ -0,0 +1,170 @@
+/* ═══════════════════════════════════════════════════════════
+   📷 CAMERA PICKER — Hand-navigable webcam settings
+   Big dwell buttons for the video input, resolution and frame
+   rate. Picks go through HandCursor.setCamera, so they persist
+   for the hub and every game.
+   Load after hand-detector.js, hand-tracker.js, dwell-selector.js
+   ═══════════════════════════════════════════════════════════ */
+
+class CameraPicker {
+  constructor(handCursor, options = {}) {
+    this.handCursor = handCursor;
+    this.dwellMs = options.dwellMs || 1000;
+    this.onClose = options.onClose || null;
+
+    this.overlay = null;
+    this.panel = null;
+    this.statusEl = null;
+    this.dwell = null;
+    this.groups = {};          // group name → [{ button, value }]
+    this.isOpen = false;
+    this.busy = false;         // a camera switch is in progress
+    this._onKey = (e) => { if (e.key === 'Escape') this.close(); };
+  }
+
+  /* ─── Open / Close ──────────────────────────── */
+  async open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+
+    const cameras = await HandCamera.listCameras();
+    const current = this._currentSettings();
+
+    this.dwell = new DwellSelector(this.handCursor, { dwellMs: this.dwellMs });
+    this._createOverlay();
+
+    this._addGroup('camera', '🎥 CAMERA', cameras.map(cam => ({
+      label: cam.label, value: cam.deviceId, settings: { deviceId: cam.deviceId, label: cam.label }
+    })), current.deviceId);
+
+    this._addGroup('resolution', '📐 RESOLUTION', HandCamera.RESOLUTIONS.map(r => ({
+      label: r.label, value: r.width, settings: { width: r.width, height: r.height }
+    })), current.width);
+
+    this._addGroup('frameRate', '⏱️ FRAME RATE', HandCamera.FRAME_RATES.map(fps => ({
+      label: `${fps} FPS`, value: fps, settings: { frameRate: fps }
+    })), current.frameRate);
+
+    const done = this._createButton('✓ DONE');
+    done.style.marginTop = '24px';
+    done.addEventListener('click', () => this.close());
+    this.dwell.add(done, { onSelect: () => this.close() });
+    this.panel.appendChild(done);
+
+    window.addEventListener('keydown', this._onKey);
+    this.dwell.start();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    window.removeEventListener('keydown', this._onKey);
+    if (this.dwell) this.dwell.destroy();
+    if (this.overlay) this.overlay.remove();
+    this.dwell = null;
+    this.overlay = null;
+    this.groups = {};
+    if (this.onClose) this.onClose();
+  }
+
+  // Saved choice first, otherwise what the running camera reports
+  _currentSettings() {
+    const saved = HandCamera.load();
+    const actual = this.handCursor.getCameraSettings() || {};
+    const nearestFps = actual.frameRate
+      ? HandCamera.FRAME_RATES.reduce((a, b) => Math.abs(b - actual.frameRate) < Math.abs(a - actual.frameRate) ? b : a)
+      : null;
+    return {
+      deviceId: saved.deviceId || actual.deviceId,
+      width: saved.width || actual.width || HandCamera.DEFAULTS.width,
+      frameRate: saved.frameRate || nearestFps || HandCamera.DEFAULTS.frameRate
+    };
+  }
+
+  /* ─── DOM ───────────────────────────────────── */
+  _createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'camera-picker';
+    this.overlay.style.cssText = `
+      position: fixed; inset: 0; z-index: 9998;
+      display: flex; align-items: center; justify-content: center;
+      background: rgba(5, 2, 15, 0.85); color: #fff;
+      font-family: 'Segoe UI', system-ui, sans-serif;
+    `;
+    this.panel = document.createElement('div');
+    this.panel.style.cssText = 'display:flex;flex-direction:column;align-items:center;gap:18px;max-width:90vw';
+    this.panel.innerHTML = `
+      <div style="font-size:28px;font-weight:900;letter-spacing:4px">📷 CAMERA SETTINGS</div>
+      <div class="camera-picker-status" style="font-size:14px;letter-spacing:2px;color:rgba(255,255,255,.6)">
+        Hold your hand over an option to pick it</div>
+    `;
+    this.statusEl = this.panel.querySelector('.camera-picker-status');
+    this.overlay.appendChild(this.panel);
+    document.body.appendChild(this.overlay);
+  }
+
+  _createButton(label) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = `
+      font: inherit; font-size: 15px; font-weight: 700; letter-spacing: 2px; color: #fff;
+      padding: 16px 26px; border-radius: 14px; cursor: pointer; min-width: 140px;
+      background-color: rgba(255,255,255,.06); border: 2px solid rgba(255,255,255,.15);
+      background-image: linear-gradient(90deg, rgba(255,200,50,.35) calc(var(--dwell-progress, 0) * 100%), transparent 0);
+    `;
+    return button;
+  }
+
+  _addGroup(name, title, options, currentValue) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display:flex;flex-direction:column;align-items:center;gap:10px';
+    row.innerHTML = `<div style="font-size:13px;letter-spacing:3px;color:rgba(255,255,255,.5)">${title}</div>`;
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display:flex;flex-wrap:wrap;gap:12px;justify-content:center';
+    row.appendChild(buttons);
+
+    if (!options.length) {
+      buttons.innerHTML = '<div style="color:rgba(255,255,255,.4)">No cameras found</div>';
+    }
+
+    this.groups[name] = options.map(option => {
+      const button = this._createButton(option.label);
+      const pick = () => this._pick(name, option);
+      button.addEventListener('click', pick);
+      this.dwell.add(button, { onSelect: pick });
+      buttons.appendChild(button);
+      return { button, value: option.value };
+    });
+    this._highlight(name, currentValue);
+    this.panel.appendChild(row);
+  }
+
+  _highlight(name, value) {
+    this.groups[name].forEach(entry => {
+      const selected = entry.value === value;
+      entry.button.style.borderColor = selected ? 'rgba(255,200,50,.9)' : 'rgba(255,255,255,.15)';
+      entry.button.style.backgroundColor = selected ? 'rgba(255,200,50,.15)' : 'rgba(255,255,255,.06)';
+    });
+  }
+
+  /* ─── Apply ─────────────────────────────────── */
+  async _pick(name, option) {
+    if (this.busy) return;
+    this.busy = true;
+    this.statusEl.textContent = '⏳ Switching camera...';
+
+    try {
+      await this.handCursor.setCamera(option.settings);
+      if (!this.isOpen) return;
+      this._highlight(name, option.value);
+      const s = this.handCursor.getCameraSettings() || {};
+      this.statusEl.textContent = s.width
+        ? `✅ ${s.width} × ${s.height} @ ${Math.round(s.frameRate || 0)} FPS — saved for every game`
+        : '✅ Saved for every game';
+    } catch (err) {
+      if (this.isOpen) this.statusEl.textContent = `❌ ${err.message || err.name} — kept the previous camera`;
+    } finally {
+      this.busy = false;
+    }
+  }
+}
@@ -0,0 +1,185 @@
+/* ═══════════════════════════════════════════════════════════
+   ⏳ DWELL SELECTOR — Shared hover-and-hold selection
+   Turns any DOM element into a hands-free button: hold the
+   hand cursor over it, a progress ring fills, then it fires.
+   Built on HandCursor.isOver — load after hand-tracker.js
+   ═══════════════════════════════════════════════════════════ */
+
+class DwellSelector {
+  constructor(handCursor, options = {}) {
+    this.handCursor = handCursor;
+
+    // Defaults — each target can override these in add()
+    this.dwellMs = options.dwellMs || 1000;
+    this.padding = options.padding || 0;              // px added around the element's rect
+    this.cooldownMs = options.cooldownMs !== undefined ? options.cooldownMs : 600;
+    this.requirePalm = !!options.requirePalm;         // only count while the palm is open
+    this.hand = options.hand || null;                 // 'left' / 'right'; null = primary hand
+    this.hoverClass = options.hoverClass || 'dwell-hover';
+
+    // Callbacks
+    this.onProgress = options.onProgress || null;     // (element|null, progress 0..1)
+    this.onSelect = options.onSelect || null;         // (element)
+
+    // Targets: element → { dwellMs, padding, when, onSelect, repeat }
+    this.targets = new Map();
+
+    // Dwell state
+    this.current = null;
+    this.startTime = 0;
+    this.progress = 0;
+    this.cooldownUntil = 0;
+    this.armed = true;        // must leave a target after selecting it before it can fire again
+    this.enabled = true;
+    this._rafId = null;
+
+    // Default progress ring that follows the cursor
+    this.ringEl = null;
+    if (options.showRing !== false) this._createRing(options.ringParent || document.body);
+  }
+
+  /* ─── Targets ───────────────────────────────── */
+  add(element, options = {}) {
+    if (!element) return this;
+    this.targets.set(element, {
+      dwellMs: options.dwellMs || this.dwellMs,
+      padding: options.padding !== undefined ? options.padding : this.padding,
+      when: options.when || null,          // () => boolean, target ignored while false
+      onSelect: options.onSelect || null,
+      repeat: !!options.repeat             // keep firing (every cooldown + dwell) while the hand stays
+    });
+    return this;
+  }
+
+  remove(element) {
+    if (element === this.current) this._setCurrent(null, performance.now());
+    this.targets.delete(element);
+    return this;
+  }
+
+  clear() {
+    this._setCurrent(null, performance.now());
+    this.targets.clear();
+    return this;
+  }
+
+  /* ─── Loop ──────────────────────────────────── */
+  // Either start() the built-in loop, or call update() from your own render loop
+  start() {
+    if (this._rafId !== null) return this;
+    const tick = () => {
+      this.update();
+      this._rafId = requestAnimationFrame(tick);
+    };
+    this._rafId = requestAnimationFrame(tick);
+    return this;
+  }
+
+  stop() {
+    if (this._rafId !== null) cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+    this._setCurrent(null, performance.now());
+    return this;
+  }
+
+  update(now = performance.now()) {
+    const target = this.enabled ? this._findTarget() : null;
+
+    if (target !== this.current) {
+      this._setCurrent(target, now);
+    }
+    if (!this.current) return;
+
+    if (!this.armed || now < this.cooldownUntil) {
+      this.startTime = now;
+      this._setProgress(0);
+      return;
+    }
+
+    const config = this.targets.get(this.current);
+    this._setProgress(Math.min(1, (now - this.startTime) / config.dwellMs));
+
+    if (this.progress >= 1) this._select(this.current, config, now);
+  }
+
+  /* ─── Hit Testing ───────────────────────────── */
+  _findTarget() {
+    const hand = this.hand ? this.handCursor.hands[this.hand] : this.handCursor.cursor;
+    if (!hand.visible || (this.requirePalm && !hand.palmOpen)) return null;
+
+    for (const [element, config] of this.targets) {
+      if (config.when && !config.when()) continue;
+      if (!element.isConnected) continue;
+      if (this.handCursor.isOver(element, this.hand, config.padding)) return element;
+    }
+    return null;
+  }
+
+  _setCurrent(element, now) {
+    if (this.current) {
+      this._setProgress(0);
+      this.current.classList.remove(this.hoverClass);
+      this.current.style.removeProperty('--dwell-progress');
+    }
+    this.current = element;
+    this.startTime = now;
+    this.armed = true;
+    if (element) element.classList.add(this.hoverClass);
+    this._setProgress(0);
+  }
+
+  _select(element, config, now) {
+    this.armed = config.repeat;
+    this.cooldownUntil = now + this.cooldownMs;
+    this._setProgress(0);
+
+    if (config.onSelect) config.onSelect(element);
+    if (this.onSelect) this.onSelect(element);
+    element.dispatchEvent(new CustomEvent('dwellselect', { bubbles: true, detail: { hand: this.hand } }));
+  }
+
+  /* ─── Progress Visual ───────────────────────── */
+  _setProgress(progress) {
+    this.progress = progress;
+    if (this.current) this.current.style.setProperty('--dwell-progress', progress.toFixed(3));
+    if (this.onProgress) this.onProgress(this.current, progress);
+    this._updateRing();
+  }
+
+  _createRing(parent) {
+    this.ringEl = document.createElement('div');
+    this.ringEl.className = 'dwell-ring';
+    this.ringEl.innerHTML = `
+      <svg viewBox="0 0 100 100" style="width:100%;height:100%;transform:rotate(-90deg)">
+        <circle cx="50" cy="50" r="45" fill="none" stroke="rgba(255,255,255,0.15)" stroke-width="8"/>
+        <circle class="dwell-ring-fill" cx="50" cy="50" r="45" fill="none"
+          stroke="rgba(255,200,50,0.9)" stroke-width="8" stroke-linecap="round"/>
+      </svg>
+    `;
+    this.ringEl.style.cssText = `
+      position: fixed; z-index: 10001; pointer-events: none;
+      width: 64px; height: 64px; transform: translate(-50%, -50%);
+      opacity: 0; transition: opacity 0.15s;
+    `;
+    parent.appendChild(this.ringEl);
+  }
+
+  _updateRing() {
+    if (!this.ringEl) return;
+    const hand = this.hand ? this.handCursor.hands[this.hand] : this.handCursor.cursor;
+    const circumference = 2 * Math.PI * 45;
+    const fill = this.ringEl.querySelector('.dwell-ring-fill');
+
+    this.ringEl.style.opacity = this.current && this.progress > 0 ? '1' : '0';
+    this.ringEl.style.left = hand.screenX + 'px';
+    this.ringEl.style.top = hand.screenY + 'px';
+    fill.style.strokeDasharray = circumference;
+    fill.style.strokeDashoffset = circumference * (1 - this.progress);
+  }
+
+  destroy() {
+    this.stop();
+    this.targets.clear();
+    if (this.ringEl) this.ringEl.remove();
+  }
+}
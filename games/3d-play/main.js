@@ -20,50 +20,6 @@ import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass';
 
-// ═══════════════════════════════════════════════
-//  ONE-EURO FILTER (Adaptive smoothing)
-// ═══════════════════════════════════════════════
-class OneEuroFilter {
-  constructor(freq = 60, minCutoff = 1.0, beta = 0.007, dCutoff = 1.0) {
-    this.freq = freq;
-    this.minCutoff = minCutoff;
-    this.beta = beta;
-    this.dCutoff = dCutoff;
-    this.xPrev = null;
-    this.dxPrev = 0;
-    this.tPrev = null;
-  }
-  _smoothingFactor(cutoff, dt) {
-    const r = 2 * Math.PI * cutoff * dt;
-    return r / (r + 1);
-  }
-  filter(x, t) {
-    if (this.tPrev === null) {
-      this.xPrev = x;
-      this.tPrev = t;
-      this.dxPrev = 0;
-      return x;
-    }
-    const dt = Math.max(1e-6, t - this.tPrev);
-    this.freq = 1.0 / dt;
-    const dx = (x - this.xPrev) / dt;
-    const aDx = this._smoothingFactor(this.dCutoff, dt);
-    const dxSmooth = aDx * dx + (1 - aDx) * this.dxPrev;
-    const cutoff = this.minCutoff + this.beta * Math.abs(dxSmooth);
-    const a = this._smoothingFactor(cutoff, dt);
-    const xSmooth = a * x + (1 - a) * this.xPrev;
-    this.xPrev = xSmooth;
-    this.dxPrev = dxSmooth;
-    this.tPrev = t;
-    return xSmooth;
-  }
-  reset() {
-    this.xPrev = null;
-    this.dxPrev = 0;
-    this.tPrev = null;
-  }
-}
-
 // ═══════════════════════════════════════════════
 //  CONSTANTS
 // ═══════════════════════════════════════════════
@@ -106,27 +62,66 @@ let lastExplosion = 0;
 let rotationVelocity = new THREE.Vector2(0, 0);
 let grabStartHandPos = new THREE.Vector3(0, 0, 0);
 
-// Hand Filters (tuned: higher beta = more responsive to fast movement)
+// Hand Filters — shared HandSmoothing preset (tuning saved for this page wins).
+// Presets are in screen units; the scene spans ~20 units, so beta is scaled down to match.
+const SMOOTHING = HandSmoothing.forPage('balanced');
+const sceneFilter = (span) => HandSmoothing.createFilter(Object.assign({}, SMOOTHING, { beta: SMOOTHING.beta / span }));
 const handFilters = {
-  x: new OneEuroFilter(60, 1.0, 0.007),
-  y: new OneEuroFilter(60, 1.0, 0.007),
-  z: new OneEuroFilter(60, 1.0, 0.007)
+  x: sceneFilter(20),
+  y: sceneFilter(16),
+  z: sceneFilter(12)
 };
 
 // Max hand velocity magnitude (prevents sensitivity drift)
 const MAX_HAND_VELOCITY = 2.0;
 
-// Hand skeleton drawing
-let skeletonCanvas = null;
-let skeletonCtx = null;
-const HAND_CONNECTIONS = [
-  [0, 1], [1, 2], [2, 3], [3, 4],       // Thumb
-  [0, 5], [5, 6], [6, 7], [7, 8],       // Index
-  [0, 9], [9, 10], [10, 11], [11, 12],  // Middle
-  [0, 13], [13, 14], [14, 15], [15, 16],// Ring
-  [0, 17], [17, 18], [18, 19], [19, 20],// Pinky
-  [5, 9], [9, 13], [13, 17]           // Palm
-];
+// Hand depth in scene units. Real camera distance (HandDepth) when there's an
+// estimate: rest distance maps to the scene midpoint, clamped to arm's reach.
+// Otherwise MediaPipe's relative wrist.z around the same midpoint
+const SCENE_Z_MID = 6;
+const HAND_REST_DISTANCE = 0.6;  // metres
+const HAND_NEAR_DISTANCE = 0.25; // closer reads as this (z = 13)
+const HAND_FAR_DISTANCE = 1.2;   // further reads as this (z = -6)
+const Z_PER_METRE = 20;          // scene units per metre toward the camera
+const Z_PER_RELATIVE = 12;       // scene units per MediaPipe z unit
+const CAMERA_FOV = Number(new URLSearchParams(window.location.search).get('cameraFov')) || undefined;
+
+// Dropout grace: coast on the last detection-to-detection velocity for a few
+// missed frames instead of dropping the hand (and the grab) immediately
+const HAND_LOST_FRAMES = 4;
+const COAST_DAMPING = 0.85;
+let missedHandFrames = 0;
+const coastVelocity = new THREE.Vector3(0, 0, 0);
+
+let mirror = HandPreference.load().mirror;
+const viewX = x => HandPreference.viewX(x, mirror) - 0.5;   // centred player-view x
+
+// Both hands: spread to scale, twist to spin the shape around the view axis
+const twoHands = new TwoHandGestures({ mirror });
+let twoHandStart = null;        // particle scale / twist when the second hand came up
+const MIN_SHAPE_SCALE = 0.4;
+const MAX_SHAPE_SCALE = 2.5;
+
+// Hub mirror toggle — refilter x from the next frame
+HandPreference.onChange(prefs => {
+  if (prefs.mirror === mirror) return;
+  mirror = twoHands.mirror = prefs.mirror;
+  HandPreference.applyPreview([document.getElementById('webcam'), document.getElementById('webcam-skeleton')], mirror);
+  handFilters.x.reset();
+});
+
+// Hand skeleton drawing (shared HandOverlay, F3 for debug labels)
+let handOverlay = null;
+const GESTURE_COLORS = {
+  pinch: 'rgba(255, 62, 0, 0.9)',
+  peace: 'rgba(68, 255, 136, 0.9)',
+  fist: 'rgba(255, 255, 0, 0.9)',
+  point: 'rgba(255, 170, 0, 0.9)',
+  open: 'rgba(0, 242, 254, 0.9)'
+};
+// Analog pinch of the tracked hand (shared HandPinch) — grab pull scales with it
+const pinch = new HandPinch();
+const GRAB_FORCE = 0.24;       // attraction at a full pinch
 
 // Audio
 let audioCtx = null;
@@ -146,6 +141,7 @@ const gestureToast = document.getElementById('gesture-toast');
 
 // MediaPipe Latest API Globals
 let handLandmarker;
+let handDetector = null;  // WorkerHandDetector when ?handWorker is set and workers are available
 let lastVideoTime = -1;
 let trackerReady = false;
 
@@ -206,8 +202,8 @@ function initScene() {
   // Energy beam
   createEnergyBeam();
 
-  // Keyboard controls
-  initKeyboard();
+  // Keyboard / gamepad controls
+  initInput();
 
   // Shape gallery clicks
   initShapeGallery();
@@ -477,12 +473,27 @@ function initShapeGallery() {
   });
 }
 
-function initKeyboard() {
-  window.addEventListener('keydown', (e) => {
-    const idx = parseInt(e.key) - 1;
-    if (idx >= 0 && idx < shapeNames.length) {
-      const btns = document.querySelectorAll('.shape-btn');
-      btns[idx].click();
+// Shared InputRouter: number keys pick a shape, arrows / shoulder buttons cycle (rebind with F1)
+function initInput() {
+  const actions = {
+    'next-shape': { label: 'Next shape', bindings: ['key:ArrowRight', 'pad:5'] },
+    'prev-shape': { label: 'Previous shape', bindings: ['key:ArrowLeft', 'pad:4'] }
+  };
+  shapeNames.forEach((name, idx) => {
+    actions[`shape-${idx + 1}`] = { label: name.toUpperCase(), bindings: [`key:Digit${idx + 1}`, `key:Numpad${idx + 1}`] };
+  });
+
+  const input = new InputRouter('3d-play', { actions });
+  const btns = document.querySelectorAll('.shape-btn');
+
+  input.on('*', (e) => {
+    if (e.phase !== 'press') return;
+    if (e.action === 'next-shape') {
+      cycleShape();
+    } else if (e.action === 'prev-shape') {
+      btns[(currentShapeIndex - 1 + shapeNames.length) % shapeNames.length].click();
+    } else if (e.action.startsWith('shape-')) {
+      btns[parseInt(e.action.slice(6)) - 1].click();
     }
   });
 }
@@ -621,119 +632,85 @@ function showToast(text) {
 function initSkeletonCanvas() {
   const container = document.getElementById('webcam-container');
   if (!container) return;
-  skeletonCanvas = document.getElementById('webcam-skeleton');
+  let skeletonCanvas = document.getElementById('webcam-skeleton');
   if (!skeletonCanvas) {
     skeletonCanvas = document.createElement('canvas');
     skeletonCanvas.id = 'webcam-skeleton';
+    skeletonCanvas.width = 640;
+    skeletonCanvas.height = 480;
     container.appendChild(skeletonCanvas);
   }
-  // Match webcam size once it loads
-  const webcam = document.getElementById('webcam');
-  const setSize = () => {
-    skeletonCanvas.width = webcam.videoWidth || 640;
-    skeletonCanvas.height = webcam.videoHeight || 480;
-  };
-  webcam.addEventListener('loadeddata', setSize);
-  setSize();
-  skeletonCtx = skeletonCanvas.getContext('2d');
+  // Matches the webcam size once it loads
+  HandPreference.applyPreview([document.getElementById('webcam'), skeletonCanvas], mirror);
+  handOverlay = new HandOverlay(skeletonCanvas, {
+    video: document.getElementById('webcam'),
+    glowTips: true
+  });
 }
 
-function drawHandSkeleton(landmarks) {
-  if (!skeletonCtx || !skeletonCanvas) return;
-  const w = skeletonCanvas.width;
-  const h = skeletonCanvas.height;
-  skeletonCtx.clearRect(0, 0, w, h);
-
-  // Determine color based on gesture
-  let lineColor = 'rgba(0, 242, 254, 0.8)';  // cyan default
-  let dotColor = 'rgba(0, 242, 254, 1)';
-  if (currentGesture === 'pinch') {
-    lineColor = 'rgba(255, 62, 0, 0.8)'; dotColor = 'rgba(255, 62, 0, 1)';
-  } else if (currentGesture === 'peace') {
-    lineColor = 'rgba(68, 255, 136, 0.8)'; dotColor = 'rgba(68, 255, 136, 1)';
-  } else if (currentGesture === 'fist') {
-    lineColor = 'rgba(255, 255, 0, 0.8)'; dotColor = 'rgba(255, 255, 0, 1)';
-  } else if (currentGesture === 'point') {
-    lineColor = 'rgba(255, 170, 0, 0.8)'; dotColor = 'rgba(255, 170, 0, 1)';
-  }
-
-  // Draw connections
-  skeletonCtx.strokeStyle = lineColor;
-  skeletonCtx.lineWidth = 2;
-  for (const [a, b] of HAND_CONNECTIONS) {
-    const ax = landmarks[a].x * w, ay = landmarks[a].y * h;
-    const bx = landmarks[b].x * w, by = landmarks[b].y * h;
-    skeletonCtx.beginPath();
-    skeletonCtx.moveTo(ax, ay);
-    skeletonCtx.lineTo(bx, by);
-    skeletonCtx.stroke();
-  }
-
-  // Draw landmarks
-  skeletonCtx.fillStyle = dotColor;
-  for (let i = 0; i < landmarks.length; i++) {
-    const x = landmarks[i].x * w;
-    const y = landmarks[i].y * h;
-    const radius = (i === 0 || i === 5 || i === 9 || i === 13 || i === 17) ? 4 : 3;
-    skeletonCtx.beginPath();
-    skeletonCtx.arc(x, y, radius, 0, Math.PI * 2);
-    skeletonCtx.fill();
-  }
-
-  // Highlight fingertips with glow
-  const tips = [4, 8, 12, 16, 20];
-  skeletonCtx.shadowColor = dotColor;
-  skeletonCtx.shadowBlur = 8;
-  for (const tip of tips) {
-    const x = landmarks[tip].x * w;
-    const y = landmarks[tip].y * h;
-    skeletonCtx.beginPath();
-    skeletonCtx.arc(x, y, 5, 0, Math.PI * 2);
-    skeletonCtx.fill();
-  }
-  skeletonCtx.shadowBlur = 0;
+function drawHandSkeleton(landmarks, raw, otherHands = []) {
+  if (!handOverlay) return;
+  handOverlay.draw([...otherHands.map(other => ({ landmarks: other, color: 'rgba(255, 255, 255, 0.5)' })), {
+    landmarks,
+    color: GESTURE_COLORS[currentGesture] || GESTURE_COLORS.open,
+    label: `HAND — ${currentGesture}`,
+    lines: [
+      `pinch ${pinch.amount.toFixed(2)} (on ≥ ${pinch.press}, off < ${pinch.release})`,
+      `raw  ${raw.x.toFixed(2)}, ${raw.y.toFixed(2)}, ${raw.z.toFixed(2)}`,
+      `filt ${targetHandPos.x.toFixed(2)}, ${targetHandPos.y.toFixed(2)}, ${targetHandPos.z.toFixed(2)}`
+    ]
+  }]);
 }
 
 // ═══════════════════════════════════════════════
 //  MEDIAPIPE INIT
 // ═══════════════════════════════════════════════
 async function initMediaPipe() {
+  // Inside the hub shell — reuse its running camera + detector
+  const shell = HandShell.find();
+  if (shell) return initShellTracking(shell);
+
   try {
     statusText.textContent = 'Initializing hand tracking...';
 
     // Wait for the ESM module to expose globals
     await waitForMediaPipe();
 
-    // Import the new MediaPipe Tasks Vision API
-    const vision = await window.FilesetResolver.forVisionTasks(
-      'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-    );
-
-    handLandmarker = await window.HandLandmarker.createFromOptions(vision, {
-      baseOptions: {
-        modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-        delegate: "GPU"
-      },
-      runningMode: "VIDEO",
-      numHands: 1,
+    const landmarkerOptions = {
+      numHands: 2,
       minHandDetectionConfidence: 0.4,
       minHandPresenceConfidence: 0.4,
       minTrackingConfidence: 0.3
-    });
+    };
+
+    // Optional off-main-thread detection keeps inference out of the particle loop
+    if (new URLSearchParams(window.location.search).has('handWorker') &&
+        typeof WorkerHandDetector !== 'undefined' && WorkerHandDetector.isSupported()) {
+      try {
+        handDetector = await new WorkerHandDetector({
+          landmarkerOptions,
+          onResults: (result) => onHandResults({
+            multiHandLandmarks: result.landmarks,
+            multiHandWorldLandmarks: result.worldLandmarks,
+            multiHandedness: result.handedness
+          })
+        }).init();
+      } catch (err) {
+        console.warn('Worker detection failed, using main thread:', err.message);
+      }
+    }
+
+    if (!handDetector) {
+      handLandmarker = await HandTrackerAssets.createLandmarker(landmarkerOptions);
+    }
 
     const videoEl = document.getElementById('webcam');
 
     // Modern way to start camera without legacy Camera helper
-    navigator.mediaDevices.getUserMedia({
-      video: { width: 1280, height: 720, frameRate: { ideal: 60 } }
-    }).then(stream => {
+    // A saved HandCamera pick overrides these
+    HandCamera.open({ width: 1280, height: 720, frameRate: 60 }).then(stream => {
       videoEl.srcObject = stream;
-      videoEl.onloadeddata = () => {
-        trackerReady = true;
-        statusText.textContent = '✅ Ready — Show your hand!';
-        statusText.classList.add('ready');
-        setTimeout(() => { statusText.style.opacity = '0'; }, 3000);
-      };
+      videoEl.onloadeddata = onCameraReady;
     }).catch(e => {
       statusText.textContent = '❌ Camera error: ' + e.message;
       statusText.classList.add('error');
@@ -746,32 +723,110 @@ async function initMediaPipe() {
   }
 }
 
+async function initShellTracking(shell) {
+  try {
+    statusText.textContent = 'Connecting to the hub camera...';
+    await shell.start();
+
+    const videoEl = document.getElementById('webcam');
+    videoEl.onloadeddata = onCameraReady;
+    videoEl.srcObject = shell.stream;
+    const unsubscribe = shell.subscribe({
+      win: window,
+      onResults: (result) => {
+        if (trackerReady) {
+          onHandResults({
+            multiHandLandmarks: result.landmarks,
+            multiHandWorldLandmarks: result.worldLandmarks,
+            multiHandedness: result.handedness
+          });
+        }
+      },
+      onCameraChange: (stream) => { videoEl.srcObject = stream; }
+    });
+    window.addEventListener('pagehide', unsubscribe, { once: true });
+  } catch (e) {
+    statusText.textContent = '❌ Initialization error: ' + e.message;
+    statusText.classList.add('error');
+    console.error(e);
+  }
+}
+
+function onCameraReady() {
+  trackerReady = true;
+  statusText.textContent = '✅ Ready — Show your hand!' + (handDetector ? ` (${handDetector.describe()})` : '');
+  statusText.classList.add('ready');
+  setTimeout(() => { statusText.style.opacity = '0'; }, 3000);
+}
+
+// With two hands up, follow the one nearest the tracked position so the grab doesn't jump
+function pickPrimaryHand(hands) {
+  if (hands.length < 2 || !isHandPresent) return 0;
+  const gap = lm => Math.hypot(viewX(lm[0].x) * 20 - targetHandPos.x, (0.5 - lm[0].y) * 16 - targetHandPos.y);
+  return gap(hands[1]) < gap(hands[0]) ? 1 : 0;
+}
+
+function updateTwoHands(hands) {
+  // Sorted by player-view x: left hand first
+  const [left, right] = hands.length >= 2 ? hands.slice(0, 2).sort((a, b) => viewX(a[0].x) - viewX(b[0].x)) : [];
+  const videoEl = document.getElementById('webcam');
+  const aspect = videoEl.videoWidth ? videoEl.videoWidth / videoEl.videoHeight : 16 / 9;
+
+  twoHands.update(left ? { landmarks: left } : null, right ? { landmarks: right } : null, performance.now(), aspect)
+    .forEach(e => {
+      if (e.type === 'twohandstart') {
+        twoHandStart = { scale: particleSystem.scale.x, twist: particleSystem.rotation.z };
+        showToast('🙌 SPREAD TO SCALE · TWIST TO ROTATE');
+      } else if (e.type === 'twohandmove' && twoHandStart) {
+        particleSystem.scale.setScalar(THREE.MathUtils.clamp(twoHandStart.scale * e.scale, MIN_SHAPE_SCALE, MAX_SHAPE_SCALE));
+        // Screen angles grow clockwise, three.js z rotation counterclockwise
+        particleSystem.rotation.z = twoHandStart.twist - e.rotation;
+      } else if (e.type === 'twohandend') {
+        twoHandStart = null;
+      }
+    });
+}
+
 function onHandResults(results) {
+  updateTwoHands(results.multiHandLandmarks || []);
+
   if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-    const lm = results.multiHandLandmarks[0];
+    const primary = pickPrimaryHand(results.multiHandLandmarks);
+    const lm = results.multiHandLandmarks[primary];
+    const wasPresent = isHandPresent;
+    const prevTarget = targetHandPos.clone();
     isHandPresent = true;
+    missedHandFrames = 0;
     const t = performance.now() / 1000;
 
-    // Draw skeleton overlay on webcam
-    drawHandSkeleton(lm);
-
     // Wrist as hand center
     const wrist = lm[0];
-    const rawX = (0.5 - wrist.x) * 20;
+    const rawX = viewX(wrist.x) * 20;
     const rawY = (0.5 - wrist.y) * 16;
-    const rawZ = (0.5 - wrist.z) * 12;
+    // Real distance when available (pushing toward the camera pulls particles closer),
+    // otherwise MediaPipe's relative wrist depth
+    const videoEl = document.getElementById('webcam');
+    const distance = HandDepth.estimate(lm, results.multiHandWorldLandmarks && results.multiHandWorldLandmarks[primary], {
+      width: videoEl.videoWidth, height: videoEl.videoHeight, fov: CAMERA_FOV
+    });
+    const rawZ = distance !== null
+      ? SCENE_Z_MID + (HAND_REST_DISTANCE - Math.min(HAND_FAR_DISTANCE, Math.max(HAND_NEAR_DISTANCE, distance))) * Z_PER_METRE
+      : SCENE_Z_MID - wrist.z * Z_PER_RELATIVE;
 
     // Apply One-Euro filter to target position
     targetHandPos.x = handFilters.x.filter(rawX, t);
     targetHandPos.y = handFilters.y.filter(rawY, t);
     targetHandPos.z = handFilters.z.filter(rawZ, t);
+    if (wasPresent) coastVelocity.subVectors(targetHandPos, prevTarget);
+    else coastVelocity.set(0, 0, 0);
 
     // Index finger tip for beam
     const indexTip = lm[8];
-    fingerTipPos.x = (0.5 - indexTip.x) * 20;
+    fingerTipPos.x = viewX(indexTip.x) * 20;
     fingerTipPos.y = (0.5 - indexTip.y) * 16;
-    fingerTipPos.z = (0.5 - indexTip.z) * 12;
+    fingerTipPos.z = rawZ + (wrist.z - indexTip.z) * Z_PER_RELATIVE;  // same depth frame as the hand
 
+    pinch.update(lm);
     const gesture = analyzeGesture(lm);
     if (gesture !== currentGesture) {
       handleGestureChange(gesture);
@@ -786,15 +841,23 @@ function onHandResults(results) {
       rotationVelocity.x += deltaY * 0.05;
       rotationVelocity.y += deltaX * 0.05;
     }
+
+    // Draw skeleton overlay on webcam
+    drawHandSkeleton(lm, { x: rawX, y: rawY, z: rawZ }, results.multiHandLandmarks.filter((_, i) => i !== primary));
+  } else if (isHandPresent && ++missedHandFrames <= HAND_LOST_FRAMES) {
+    // Brief dropout — keep gesture and grab, drift along the last velocity
+    coastVelocity.multiplyScalar(COAST_DAMPING);
+    targetHandPos.add(coastVelocity);
+    fingerTipPos.add(coastVelocity);
   } else {
     isHandPresent = false;
     isGrabbing = false;
+    missedHandFrames = 0;
     hudGroup.visible = false;
     dataGesture.textContent = '—';
+    pinch.reset();
     // Clear skeleton when hand lost
-    if (skeletonCtx && skeletonCanvas) {
-      skeletonCtx.clearRect(0, 0, skeletonCanvas.width, skeletonCanvas.height);
-    }
+    if (handOverlay) handOverlay.clear();
     // Reset filters when hand is lost
     handFilters.x.reset();
     handFilters.y.reset();
@@ -803,12 +866,11 @@ function onHandResults(results) {
 }
 
 function analyzeGesture(lm) {
-  const thumb = lm[4], index = lm[8], middle = lm[12], ring = lm[16], pinky = lm[20];
+  const index = lm[8], middle = lm[12], ring = lm[16], pinky = lm[20];
   const indexMcp = lm[5], middleMcp = lm[9], ringMcp = lm[13], pinkyMcp = lm[17];
 
-  // Pinch: thumb-index close (increased threshold for easier grabbing)
-  const pinchDist = Math.hypot(thumb.x - index.x, thumb.y - index.y, thumb.z - index.z);
-  if (pinchDist < 0.08) return 'pinch';
+  // Pinch: thumb-index close, with press / release hysteresis
+  if (pinch.pressed) return 'pinch';
 
   // Finger extension states
   const indexUp = index.y < indexMcp.y;
@@ -905,13 +967,18 @@ function animate() {
 
   // MediaPipe Synchronous Detection
   const videoEl = document.getElementById('webcam');
-  if (trackerReady && videoEl.currentTime !== lastVideoTime) {
+  if (trackerReady && handDetector && videoEl.currentTime !== lastVideoTime) {
+    // Async — onHandResults runs when the worker answers; busy frames are skipped
+    if (handDetector.detect(videoEl, now)) lastVideoTime = videoEl.currentTime;
+  } else if (trackerReady && handLandmarker && videoEl.currentTime !== lastVideoTime) {
     lastVideoTime = videoEl.currentTime;
     const results = handLandmarker.detectForVideo(videoEl, now);
 
     // Map Tasks-Vision "landmarks" to our onHandResults "multiHandLandmarks" expectation
     onHandResults({
-      multiHandLandmarks: results.landmarks
+      multiHandLandmarks: results.landmarks,
+      multiHandWorldLandmarks: results.worldLandmarks,
+      multiHandedness: results.handedness
     });
   }
 
@@ -983,8 +1050,8 @@ function animate() {
     const distSq = dx * dx + dy * dy + dz * dz;
 
     if (isHandPresent && isGrabbing) {
-      // Attraction toward hand
-      const force = 0.18 / (distSq + 0.1);
+      // Attraction toward hand — a tighter pinch pulls harder
+      const force = GRAB_FORCE * pinch.amount / (distSq + 0.1);
       velocities[i3] += dx * force;
       velocities[i3 + 1] += dy * force;
       velocities[i3 + 2] += dz * force;
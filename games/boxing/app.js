@@ -17,7 +17,6 @@
   // ═══ DOM ═══
   const video = document.getElementById('webcam');
   const handCanvas = document.getElementById('hand-overlay');
-  const handCtx = handCanvas.getContext('2d');
   const leftFist = document.getElementById('player-left-fist');
   const rightFist = document.getElementById('player-right-fist');
   const guardIndicator = document.getElementById('guard-indicator');
@@ -31,9 +30,6 @@
   const PALM_HOLD_TIME = 800;
   let palmCursorX = 0, palmCursorY = 0;
   let palmVisible = false;
-  let palmHoverTarget = null;
-  let palmHoverStartTime = 0;
-  let palmHoverProgress = 0;
 
   // ═══ SHARED HAND TRACKER (framework) ═══
   const handTracker = new HandCursor({
@@ -43,8 +39,6 @@
       if (handTracker.video && handTracker.video.srcObject) {
         video.srcObject = handTracker.video.srcObject;
         video.play();
-        handCanvas.width = 1280;
-        handCanvas.height = 720;
       }
       cameraStatus.textContent = '✅ Camera ready — Show your palm to start!';
       startBtn.textContent = '🥊 START FIGHT';
@@ -59,90 +53,72 @@
       palmVisible = true;
     },
     onResults: (results) => {
-      // Draw hands on overlay (subtle)
-      handCtx.clearRect(0, 0, handCanvas.width, handCanvas.height);
-      if (results.multiHandLandmarks) {
-        for (const landmarks of results.multiHandLandmarks) {
-          drawConnectors(handCtx, landmarks, HAND_CONNECTIONS, { color: 'rgba(0,150,255,0.3)', lineWidth: 2 });
-          drawLandmarks(handCtx, landmarks, { color: 'rgba(0,200,255,0.4)', lineWidth: 1, radius: 2 });
-        }
-      }
       // Feed raw results to boxing tracker
       boxing.update(results);
       updateFistPositions();
     }
   });
 
+  // Preview follows the mirror preference; the overlay flips its labels to match
+  HandPreference.applyPreview([video, handCanvas], handTracker.mirror);
+  handTracker.on('preferencechange', e => {
+    HandPreference.applyPreview([video, handCanvas], e.mirror);
+    boxing.setMirror(e.mirror);
+  });
+
+  // Draw hands on overlay (subtle; F3 for debug labels)
+  new HandOverlay(handCanvas, { handCursor: handTracker, video, color: 'rgba(0,150,255,0.5)', radius: 2 });
+
+  // Live smoothing tuning (F4)
+  new SmoothingPanel(handTracker);
+
   // Hide the framework's own finger cursor — boxing uses 🥊 gloves instead
   handTracker.init().then(() => {
     if (handTracker.cursorEl) handTracker.cursorEl.style.display = 'none';
   });
 
-  // ═══ PALM HOVER-TO-SELECT ═══
-  function updatePalmUI() {
-    const isMenuState = game.state === 'menu' || game.state === 'gameover';
-
-    if (!palmVisible || !isMenuState) {
-      palmCursorEl.classList.remove('active');
-      palmHoverTarget = null;
-      palmHoverProgress = 0;
-      startBtn.classList.remove('palm-hover');
-      restartBtn.classList.remove('palm-hover');
-      cursorFillEl.style.background = `conic-gradient(from 0deg, rgba(255,200,0,0.6) 0%, transparent 0%)`;
-      palmVisible = false;
-      return;
+  // ═══ PALM HOVER-TO-SELECT (shared DwellSelector) ═══
+  const dwell = new DwellSelector(handTracker, {
+    dwellMs: PALM_HOLD_TIME,
+    requirePalm: true,
+    hoverClass: 'palm-hover',
+    showRing: false,
+    onProgress: (target, progress) => {
+      palmCursorEl.classList.toggle('hover', target !== null);
+      cursorFillEl.style.background = target
+        ? `conic-gradient(from 0deg, rgba(255,200,0,0.6) ${progress * 360}deg, transparent ${progress * 360}deg)`
+        : `conic-gradient(from 0deg, rgba(0,200,255,0.4) 0%, transparent 0%)`;
     }
-
-    palmCursorEl.classList.add('active');
-    palmCursorEl.style.left = palmCursorX + 'px';
-    palmCursorEl.style.top = palmCursorY + 'px';
-
-    // Check which button palm is over
-    let currentTarget = null;
-    if (game.state === 'menu' && !startBtn.disabled) {
-      const rect = startBtn.getBoundingClientRect();
-      if (palmCursorX >= rect.left - 30 && palmCursorX <= rect.right + 30 &&
-        palmCursorY >= rect.top - 30 && palmCursorY <= rect.bottom + 30) {
-        currentTarget = 'start';
-      }
-    } else if (game.state === 'gameover') {
-      const rect = restartBtn.getBoundingClientRect();
-      if (palmCursorX >= rect.left - 30 && palmCursorX <= rect.right + 30 &&
-        palmCursorY >= rect.top - 30 && palmCursorY <= rect.bottom + 30) {
-        currentTarget = 'restart';
-      }
+  });
+  dwell.add(startBtn, {
+    padding: 30,
+    when: () => game.state === 'menu' && !startBtn.disabled,
+    onSelect: () => {
+      sound.init();
+      sound.bell(1);
+      game.startGame();
     }
-
-    if (currentTarget !== palmHoverTarget) {
-      palmHoverTarget = currentTarget;
-      palmHoverStartTime = currentTarget ? Date.now() : 0;
-      palmHoverProgress = 0;
+  });
+  dwell.add(restartBtn, {
+    padding: 30,
+    when: () => game.state === 'gameover',
+    onSelect: () => {
+      sound.bell(1);
+      game.startGame();
     }
+  });
 
-    startBtn.classList.toggle('palm-hover', currentTarget === 'start');
-    restartBtn.classList.toggle('palm-hover', currentTarget === 'restart');
-    palmCursorEl.classList.toggle('hover', currentTarget !== null);
-
-    if (currentTarget) {
-      palmHoverProgress = Math.min(1, (Date.now() - palmHoverStartTime) / PALM_HOLD_TIME);
-      cursorFillEl.style.background = `conic-gradient(from 0deg, rgba(255,200,0,0.6) ${palmHoverProgress * 360}deg, transparent ${palmHoverProgress * 360}deg)`;
-
-      if (palmHoverProgress >= 1) {
-        if (currentTarget === 'start') {
-          sound.init();
-          sound.bell(1);
-          game.startGame();
-        } else if (currentTarget === 'restart') {
-          sound.bell(1);
-          game.startGame();
-        }
-        palmHoverTarget = null;
-        palmHoverProgress = 0;
-      }
-    } else {
-      cursorFillEl.style.background = `conic-gradient(from 0deg, rgba(0,200,255,0.4) 0%, transparent 0%)`;
+  function updatePalmUI() {
+    const isMenuState = game.state === 'menu' || game.state === 'gameover';
+    const showPalm = palmVisible && isMenuState;
+
+    palmCursorEl.classList.toggle('active', showPalm);
+    if (showPalm) {
+      palmCursorEl.style.left = palmCursorX + 'px';
+      palmCursorEl.style.top = palmCursorY + 'px';
     }
 
+    dwell.update();
     palmVisible = false; // Reset each frame
   }
 
@@ -426,6 +402,29 @@
     game.startGame();
   });
 
+  // ═══ ACTIONS (keyboard / gamepad fallback — rebind with F1) ═══
+  const input = new InputRouter('boxing', {
+    handCursor: handTracker,
+    actions: {
+      start: { label: 'Start / Rematch', bindings: ['key:Enter', 'pad:9'] },
+      'punch-left': { label: 'Left jab', bindings: ['key:KeyA', 'pad:2'] },
+      'punch-right': { label: 'Right jab', bindings: ['key:KeyD', 'pad:1'] }
+    }
+  });
+
+  input.on('start', (e) => {
+    if (e.phase !== 'press') return;
+    if (game.state === 'menu' && !startBtn.disabled) startBtn.click();
+    else if (game.state === 'gameover') restartBtn.click();
+  });
+
+  // Straight at the opponent, as if the fist were centred in the hit zone
+  ['left', 'right'].forEach(side => {
+    input.on(`punch-${side}`, (e) => {
+      if (e.phase === 'press' && boxing.onPunch) boxing.onPunch(side, 'jab', 1.2, 0.5, 0.35);
+    });
+  });
+
   // ═══ INIT ═══
   gameLoop();
 })();
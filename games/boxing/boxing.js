@@ -4,7 +4,11 @@
    ═══════════════════════════════════════════════════════════ */
 
 class BoxingTracker {
-  constructor() {
+  constructor(options = {}) {
+    // Positions live in the webcam's raw image frame (mirrored on screen);
+    // a non-mirrored camera is flipped into that frame (see HandPreference)
+    this.mirror = options.mirror !== undefined ? options.mirror : HandPreference.load().mirror;
+
     // State for each hand
     this.hands = {
       left:  { x: 0.3, y: 0.7, z: 0, prevZ: 0, prevX: 0.3, prevY: 0.7, visible: false, fistClosed: false },
@@ -26,6 +30,13 @@ class BoxingTracker {
     this.PUNCH_REACH_TIME = 400;         // max time for punch to connect (longer window)
     this.MIN_PUNCH_TRAVEL = 0.02;        // minimum z distance for valid punch (lowered)
 
+    // Depth units: real camera distance in metres when HandCursor provides it
+    // (results.handDistances, One-Euro smoothed), else MediaPipe's relative wrist.z
+    this.DEPTH_UNITS = {
+      metric: { startVelocity: 0.03, minTravel: 0.08, retreatVelocity: 0.03, power: 2.5, fastSpeed: 1.2, fasterSpeed: 2.0 },
+      relative: { startVelocity: this.PUNCH_VELOCITY_THRESHOLD, minTravel: this.MIN_PUNCH_TRAVEL, retreatVelocity: 0.01, power: 6, fastSpeed: 0.3, fasterSpeed: 0.5 }
+    };
+
     // Guard detection
     this.isGuarding = false;
     this.guardStartTime = 0;
@@ -53,6 +64,15 @@ class BoxingTracker {
     this.onDodge = null;       // (direction) => {}
   }
 
+  /* ─── Mirror Preference ─────────────────────── */
+  // Flipping x mid-game — old positions would read as a hook or dodge
+  setMirror(mirror) {
+    if (mirror === this.mirror) return;
+    this.mirror = mirror;
+    this.history = { left: [], right: [] };
+    this.punchState.left.reaching = this.punchState.right.reaching = false;
+  }
+
   /* ─── Process MediaPipe Results ─────────────── */
   update(results) {
     const now = Date.now();
@@ -67,13 +87,22 @@ class BoxingTracker {
       return;
     }
 
+    // Prefer HandCursor's stable identity; otherwise MediaPipe labels are
+    // mirrored: "Left" in camera = your right hand (literal on non-mirrored setups).
+    // A missing or repeated label takes the free slot so two hands never share one
+    const labels = results.multiHandLandmarks.map((_, i) => results.handIds && results.handIds[i]
+      ? results.handIds[i]
+      : HandPreference.handFromLabel(results.multiHandedness[i] && results.multiHandedness[i].label, this.mirror));
+    labels.forEach((label, i) => {
+      if (label && labels.indexOf(label) === i) return;
+      labels[i] = ['left', 'right'].find(id => !labels.includes(id)) || null;
+    });
+
     // Process each detected hand
     for (let i = 0; i < results.multiHandLandmarks.length; i++) {
       const landmarks = results.multiHandLandmarks[i];
-      const handedness = results.multiHandedness[i];
-
-      // MediaPipe labels are mirrored: "Left" in camera = your right hand
-      const label = handedness.label === 'Left' ? 'right' : 'left';
+      const label = labels[i];
+      if (!label) continue; // no free slot left
       const hand = this.hands[label];
 
       // Wrist position (landmark 0) as primary position
@@ -88,8 +117,14 @@ class BoxingTracker {
 
       // Update position (use average of wrist and mid MCP for stability)
       hand.x = (wrist.x + midMCP.x) / 2;
+      if (!this.mirror) hand.x = 1 - hand.x;
       hand.y = (wrist.y + midMCP.y) / 2;
-      hand.z = wrist.z;
+      // Smaller z = closer to camera in both units
+      const distance = results.handDistances ? results.handDistances[i] : null;
+      const metric = typeof distance === 'number';
+      if (metric !== hand.metric) this.history[label] = []; // don't mix units in velocities
+      hand.metric = metric;
+      hand.z = metric ? distance : wrist.z;
       hand.visible = true;
 
       // Check if fist is closed
@@ -103,6 +138,7 @@ class BoxingTracker {
         Math.pow(wrist.z - knuckle.z, 2)
       );
       hand.forwardZ = -wrist.z; // how close to camera (higher = more extended forward)
+      hand.distance = metric ? distance : null; // metres from camera, when known
 
       // Store in history
       if (!this.history[label]) this.history[label] = [];
@@ -148,6 +184,7 @@ class BoxingTracker {
     if (hist.length < 3) return;
 
     const state = this.punchState[label];
+    const units = this.DEPTH_UNITS[hand.metric ? 'metric' : 'relative'];
     
     // Calculate velocities from history
     const recent = hist[hist.length - 1];
@@ -165,7 +202,7 @@ class BoxingTracker {
     // ═══ PUNCH STATE MACHINE ═══
     // Phase 1: Detect punch START (arm moving forward with velocity)
     if (!state.reaching) {
-      const startingPunch = zVelocity > this.PUNCH_VELOCITY_THRESHOLD;
+      const startingPunch = zVelocity > units.startVelocity;
       const startingUppercut = yVelocity > 0.02 && hand.y < 0.6;
       const startingHook = xSpeed > 0.02;
       
@@ -195,14 +232,14 @@ class BoxingTracker {
       const xTravel = Math.abs(hand.x - state.startX);
       
       // Check if arm is now extended (reached forward enough) - very lenient
-      const isExtended = travelDistance > this.MIN_PUNCH_TRAVEL || 
+      const isExtended = travelDistance > units.minTravel || 
                          yTravel > 0.03 || 
                          xTravel > 0.03 ||
                          (now - state.startTime) > 100; // If motion continues for 100ms, count it
       
       // Check for punch completion conditions
       const punchTimedOut = (now - state.startTime) > this.PUNCH_REACH_TIME;
-      const armRetreating = zVelocity < -0.01; // moving back
+      const armRetreating = zVelocity < -units.retreatVelocity; // moving back
       const punchComplete = punchTimedOut || (isExtended && armRetreating);
       
       if (punchComplete && isExtended) {
@@ -223,13 +260,13 @@ class BoxingTracker {
         } else {
           // Forward motion = jab/cross
           type = 'jab';
-          power = 1.0 + Math.min(travelDistance * 6, 1.0);
+          power = 1.0 + Math.min(travelDistance * units.power, 1.0);
         }
         
         // Bonus power for fast punches
         const punchSpeed = travelDistance / ((now - state.startTime) / 1000);
-        if (punchSpeed > 0.3) power += 0.3;
-        if (punchSpeed > 0.5) power += 0.3;
+        if (punchSpeed > units.fastSpeed) power += 0.3;
+        if (punchSpeed > units.fasterSpeed) power += 0.3;
         
         // Bonus for fist being closed
         if (hand.fistClosed) power += 0.2;
@@ -341,7 +378,8 @@ class BoxingTracker {
         visible: this.hands.left.visible,
         closed: this.hands.left.fistClosed,
         reaching: this.punchState.left.reaching,
-        forwardZ: this.hands.left.forwardZ || 0
+        forwardZ: this.hands.left.forwardZ || 0,
+        distance: this.hands.left.distance || null
       },
       right: {
         x: this.hands.right.x,
@@ -349,7 +387,8 @@ class BoxingTracker {
         visible: this.hands.right.visible,
         closed: this.hands.right.fistClosed,
         reaching: this.punchState.right.reaching,
-        forwardZ: this.hands.right.forwardZ || 0
+        forwardZ: this.hands.right.forwardZ || 0,
+        distance: this.hands.right.distance || null
       }
     };
   }
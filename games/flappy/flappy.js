@@ -30,7 +30,6 @@
   const GROUND_HEIGHT = 80;
   const GRAVITY = 0.28;
   const FLAP_STRENGTH = -6;
-  const FINGER_SMOOTHING = 0.22;
   const FINGER_CONTROL_STRENGTH = 0.25;
 
   // ═══ GAME STATE ═══
@@ -45,29 +44,13 @@
   let groundOffset = 0;
 
   // Finger tracking
-  let fingerY = 0.5;             // normalized 0..1
-  let targetFingerY = 0.5;
+  let fingerY = 0.5;             // normalized 0..1, already One-Euro smoothed by HandCursor
   let fingerVisible = false;
-  let isPinching = false;
 
   // Palm UI state
   const PALM_HOLD_TIME = 800;
   let palmCursorX = 0, palmCursorY = 0;
   let palmVisible = false;
-  let palmHoverTarget = null;
-  let palmHoverStartTime = 0;
-  let palmHoverProgress = 0;
-
-  // Hand skeleton
-  let skeletonCanvas = null, skeletonCtx = null;
-  const HAND_CONNECTIONS = [
-    [0, 1], [1, 2], [2, 3], [3, 4],       // Thumb
-    [0, 5], [5, 6], [6, 7], [7, 8],       // Index
-    [0, 9], [9, 10], [10, 11], [11, 12],  // Middle
-    [0, 13], [13, 14], [14, 15], [15, 16],// Ring
-    [0, 17], [17, 18], [18, 19], [19, 20],// Pinky
-    [5, 9], [9, 13], [13, 17]             // Palm
-  ];
 
   // ═══ DOM ═══
   const scoreDisplay = document.getElementById('score-display');
@@ -77,9 +60,11 @@
   const cameraStatus = document.getElementById('camera-status');
   const gameoverScreen = document.getElementById('gameover-screen');
   const restartBtn = document.getElementById('restart-btn');
+  const backBtn = document.getElementById('back-to-hub');
   const fingerIndicator = document.getElementById('finger-indicator');
   const palmCursorEl = document.getElementById('palm-cursor');
   const cursorFillEl = palmCursorEl.querySelector('.cursor-fill');
+  const previewCam = document.getElementById('preview-cam');
 
   highScoreDisplay.textContent = 'BEST: ' + highScore;
 
@@ -106,26 +91,15 @@
   // ═══ HAND TRACKER SETUP ═══
   const handTracker = new HandCursor({
     cursorParent: document.body,
+    smoothing: 'precise',          // steady hover beats fast reaction here (F4 to tune)
     onReady: () => {
       cameraStatus.textContent = '✅ Camera ready — Show your palm to start!';
       startBtn.textContent = '🐦 START GAME';
       startBtn.disabled = false;
 
       // Pipe hand-tracker camera to preview
-      const previewCam = document.getElementById('preview-cam');
       const stream = handTracker.getStream();
       if (previewCam && stream) previewCam.srcObject = stream;
-
-      // Init skeleton canvas
-      skeletonCanvas = document.getElementById('webcam-skeleton-preview');
-      if (skeletonCanvas && previewCam) {
-        // Wait for video to have dimensions
-        previewCam.addEventListener('loadeddata', () => {
-          skeletonCanvas.width = previewCam.videoWidth;
-          skeletonCanvas.height = previewCam.videoHeight;
-        });
-        skeletonCtx = skeletonCanvas.getContext('2d');
-      }
     },
     onError: (err) => {
       cameraStatus.textContent = '❌ Camera error: ' + err.message;
@@ -133,7 +107,7 @@
       startBtn.disabled = false;
     },
     onMove: (x, y) => {
-      targetFingerY = y;
+      fingerY = y;
       fingerVisible = true;
 
       // Update finger indicator
@@ -145,142 +119,78 @@
       palmCursorX = x * window.innerWidth;
       palmCursorY = y * window.innerHeight;
       palmVisible = true;
-    },
-    onPinch: () => {
-      isPinching = true;
-      if (state === 'playing') {
-        bird.vy = FLAP_STRENGTH;
-        spawnFlapParticles();
-      }
-    },
-    onRelease: () => {
-      isPinching = false;
-    },
-    onResults: (results) => {
-      if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        drawHandSkeleton(results.multiHandLandmarks[0]);
-      } else if (skeletonCtx) {
-        skeletonCtx.clearRect(0, 0, skeletonCanvas.width, skeletonCanvas.height);
-      }
     }
   });
 
+  // Poses from trainer.html — press F1 and show one to bind it to Flap or Boost
+  if (typeof GestureClassifier !== 'undefined') handTracker.registerTrainedGestures();
+
   // Hide framework cursor — we use our own finger indicator
   handTracker.init().then(() => {
     if (handTracker.cursorEl) handTracker.cursorEl.style.display = 'none';
   });
 
-  function drawHandSkeleton(landmarks) {
-    if (!skeletonCtx || !skeletonCanvas) return;
-    const w = skeletonCanvas.width;
-    const h = skeletonCanvas.height;
-    skeletonCtx.clearRect(0, 0, w, h);
-
-    skeletonCtx.strokeStyle = 'rgba(0, 255, 255, 0.6)';
-    skeletonCtx.lineWidth = 2;
-
-    // Connections
-    for (const [a, b] of HAND_CONNECTIONS) {
-      const ax = landmarks[a].x * w, ay = landmarks[a].y * h;
-      const bx = landmarks[b].x * w, by = landmarks[b].y * h;
-      skeletonCtx.beginPath();
-      skeletonCtx.moveTo(ax, ay);
-      skeletonCtx.lineTo(bx, by);
-      skeletonCtx.stroke();
-    }
+  // ═══ HAND SKELETON (preview overlay, F3 for debug labels) ═══
+  const skeletonCanvas = document.getElementById('webcam-skeleton-preview');
+  HandPreference.applyPreview([previewCam, skeletonCanvas], handTracker.mirror);
+  handTracker.on('preferencechange', e => HandPreference.applyPreview([previewCam, skeletonCanvas], e.mirror));
+  if (skeletonCanvas) {
+    new HandOverlay(skeletonCanvas, { handCursor: handTracker, video: previewCam, color: 'rgba(0, 255, 255, 0.6)' });
+  }
 
-    // Dots
-    skeletonCtx.fillStyle = '#00ffff';
-    for (const lm of landmarks) {
-      skeletonCtx.beginPath();
-      skeletonCtx.arc(lm.x * w, lm.y * h, 3, 0, Math.PI * 2);
-      skeletonCtx.fill();
+  // Live smoothing tuning (F4)
+  new SmoothingPanel(handTracker);
+
+  // ═══ PALM HOVER-TO-SELECT (shared DwellSelector) ═══
+  const dwell = new DwellSelector(handTracker, {
+    dwellMs: PALM_HOLD_TIME,
+    requirePalm: true,
+    hoverClass: 'palm-hover',
+    showRing: false,
+    onProgress: (target, progress) => {
+      palmCursorEl.classList.toggle('hover', target !== null);
+      cursorFillEl.style.background = target
+        ? `conic-gradient(from 0deg, rgba(255,200,0,0.6) ${progress * 360}deg, transparent ${progress * 360}deg)`
+        : `conic-gradient(from 0deg, rgba(0,200,255,0.4) 0%, transparent 0%)`;
     }
-  }
+  });
+  dwell.add(backBtn, {
+    padding: 20,
+    when: () => state !== 'playing',
+    onSelect: () => { HandShell.exit('../../index.html'); }
+  });
+  dwell.add(startBtn, { padding: 30, when: () => state === 'menu' && !startBtn.disabled, onSelect: startGame });
+  dwell.add(restartBtn, { padding: 30, when: () => state === 'dead', onSelect: startGame });
 
-  // ═══ PALM HOVER-TO-SELECT ═══
   function updatePalmUI() {
     // Only show palm cursor outside gameplay
-    if (!palmVisible || state === 'playing') {
-      palmCursorEl.classList.remove('active');
-      palmHoverTarget = null;
-      palmHoverProgress = 0;
-      startBtn.classList.remove('palm-hover');
-      restartBtn.classList.remove('palm-hover');
-      document.getElementById('back-to-hub').classList.remove('palm-hover');
-      cursorFillEl.style.background = `conic-gradient(from 0deg, rgba(255,200,0,0.6) 0%, transparent 0%)`;
-      palmVisible = false;
-      return;
-    }
-
-    palmCursorEl.classList.add('active');
-    palmCursorEl.style.left = palmCursorX + 'px';
-    palmCursorEl.style.top = palmCursorY + 'px';
-
-    // Check which button palm is over
-    let currentTarget = null;
-    if (state === 'menu' && !startBtn.disabled) {
-      const rect = startBtn.getBoundingClientRect();
-      if (palmCursorX >= rect.left - 30 && palmCursorX <= rect.right + 30 &&
-        palmCursorY >= rect.top - 30 && palmCursorY <= rect.bottom + 30) {
-        currentTarget = 'start';
-      }
-    } else if (state === 'dead') {
-      const rect = restartBtn.getBoundingClientRect();
-      if (palmCursorX >= rect.left - 30 && palmCursorX <= rect.right + 30 &&
-        palmCursorY >= rect.top - 30 && palmCursorY <= rect.bottom + 30) {
-        currentTarget = 'restart';
-      }
-    }
-
-    // Check back button (always available in menu or gameover)
-    if (state !== 'playing') {
-      const backBtn = document.getElementById('back-to-hub');
-      const rect = backBtn.getBoundingClientRect();
-      if (palmCursorX >= rect.left - 20 && palmCursorX <= rect.right + 20 &&
-        palmCursorY >= rect.top - 20 && palmCursorY <= rect.bottom + 20) {
-        currentTarget = 'back';
-      }
-    }
-
-    if (currentTarget !== palmHoverTarget) {
-      palmHoverTarget = currentTarget;
-      palmHoverStartTime = currentTarget ? Date.now() : 0;
-      palmHoverProgress = 0;
-    }
-
-    startBtn.classList.toggle('palm-hover', currentTarget === 'start');
-    restartBtn.classList.toggle('palm-hover', currentTarget === 'restart');
-    document.getElementById('back-to-hub').classList.toggle('palm-hover', currentTarget === 'back');
-    palmCursorEl.classList.toggle('hover', currentTarget !== null);
-
-    if (currentTarget) {
-      palmHoverProgress = Math.min(1, (Date.now() - palmHoverStartTime) / PALM_HOLD_TIME);
-      cursorFillEl.style.background = `conic-gradient(from 0deg, rgba(255,200,0,0.6) ${palmHoverProgress * 360}deg, transparent ${palmHoverProgress * 360}deg)`;
-
-      if (palmHoverProgress >= 1) {
-        if (currentTarget === 'start' || currentTarget === 'restart') startGame();
-        if (currentTarget === 'back') window.location.href = '../../index.html';
-        palmHoverTarget = null;
-        palmHoverProgress = 0;
-      }
-    } else {
-      cursorFillEl.style.background = `conic-gradient(from 0deg, rgba(0,200,255,0.4) 0%, transparent 0%)`;
+    const showPalm = palmVisible && state !== 'playing';
+    palmCursorEl.classList.toggle('active', showPalm);
+    if (showPalm) {
+      palmCursorEl.style.left = palmCursorX + 'px';
+      palmCursorEl.style.top = palmCursorY + 'px';
     }
 
+    dwell.update();
     palmVisible = false; // Reset each frame, re-set by onPalmOpen callback
   }
 
-  // ═══ KEYBOARD FALLBACK ═══
-  document.addEventListener('keydown', (e) => {
-    if (e.code === 'Space') {
-      e.preventDefault();
-      if (state === 'playing') {
-        bird.vy = FLAP_STRENGTH;
-        spawnFlapParticles();
-      } else if (state === 'dead') {
-        startGame();
-      }
+  // ═══ ACTIONS (pinch / keyboard / gamepad — rebind with F1) ═══
+  const input = new InputRouter('flappy', {
+    handCursor: handTracker,
+    actions: {
+      flap: { label: 'Flap', bindings: ['gesture:pinch', 'key:Space', 'pad:0'] },
+      boost: { label: 'Boost (hold)', bindings: ['gesture:pinch', 'key:ShiftLeft', 'pad:7'] }
+    }
+  });
+
+  input.on('flap', (e) => {
+    if (e.phase !== 'press') return;
+    if (state === 'playing') {
+      bird.vy = FLAP_STRENGTH;
+      spawnFlapParticles();
+    } else if (state === 'dead' && e.source !== 'gesture') {
+      startGame();
     }
   });
 
@@ -604,11 +514,8 @@
     const now = Date.now();
     frameCount++;
 
-    // ── Pinch Boost ──
-    currentPipeSpeed = isPinching ? BOOST_PIPE_SPEED : BASE_PIPE_SPEED;
-
-    // ── Smooth finger tracking ──
-    fingerY += (targetFingerY - fingerY) * FINGER_SMOOTHING;
+    // ── Pinch Boost — a tighter pinch boosts harder (Shift / pad = full boost) ──
+    currentPipeSpeed = BASE_PIPE_SPEED + (BOOST_PIPE_SPEED - BASE_PIPE_SPEED) * input.getValue('boost');
 
     // ── Bird physics ──
     // The bird is pulled toward the finger Y position
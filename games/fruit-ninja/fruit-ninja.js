@@ -11,58 +11,6 @@
 (function () {
     'use strict';
 
-    // ═══════════════════════════════════════
-    //  ONE-EURO FILTER
-    //  Adaptive smoothing: smooth when slow,
-    //  responsive when fast. Zero perceived lag.
-    // ═══════════════════════════════════════
-    class OneEuroFilter {
-        constructor(freq = 60, minCutoff = 1.0, beta = 0.007, dCutoff = 1.0) {
-            this.freq = freq;
-            this.minCutoff = minCutoff;
-            this.beta = beta;
-            this.dCutoff = dCutoff;
-            this.xPrev = null;
-            this.dxPrev = 0;
-            this.tPrev = null;
-        }
-        _smoothingFactor(cutoff, dt) {
-            const r = 2 * Math.PI * cutoff * dt;
-            return r / (r + 1);
-        }
-        filter(x, t) {
-            if (this.tPrev === null) {
-                this.xPrev = x;
-                this.tPrev = t;
-                this.dxPrev = 0;
-                return x;
-            }
-            const dt = Math.max(1e-6, t - this.tPrev);
-            this.freq = 1.0 / dt;
-
-            // Derivative (rate of change)
-            const dx = (x - this.xPrev) / dt;
-            const aDx = this._smoothingFactor(this.dCutoff, dt);
-            const dxSmooth = aDx * dx + (1 - aDx) * this.dxPrev;
-
-            // Adaptive cutoff — faster movement = higher cutoff = less smoothing
-            const cutoff = this.minCutoff + this.beta * Math.abs(dxSmooth);
-            const a = this._smoothingFactor(cutoff, dt);
-
-            const xSmooth = a * x + (1 - a) * this.xPrev;
-
-            this.xPrev = xSmooth;
-            this.dxPrev = dxSmooth;
-            this.tPrev = t;
-            return xSmooth;
-        }
-        reset() {
-            this.xPrev = null;
-            this.dxPrev = 0;
-            this.tPrev = null;
-        }
-    }
-
     // ═══ CANVAS ═══
     const canvas = document.getElementById('game-canvas');
     const ctx = canvas.getContext('2d');
@@ -180,18 +128,28 @@
     let frameCount = 0, comboTimer = 0;
 
     // ═══ HAND STATE ═══
-    // Each hand has One-Euro filters for x and y
+    // Each hand has One-Euro filters for x and y — balanced preset, same feel as before
+    // (shared HandSmoothing; tuning saved for this page wins)
+    const SMOOTHING = HandSmoothing.forPage('balanced');
     let handData = [
         {
-            filters: { x: new OneEuroFilter(60, 1.2, 0.005), y: new OneEuroFilter(60, 1.2, 0.005) },
+            filters: { x: HandSmoothing.createFilter(SMOOTHING), y: HandSmoothing.createFilter(SMOOTHING) },
             x: 0, y: 0, screenX: 0, screenY: 0, visible: false, gesture: 'none', ringPulse: 0, lastShootTime: 0, confidence: 0
         },
         {
-            filters: { x: new OneEuroFilter(60, 1.2, 0.005), y: new OneEuroFilter(60, 1.2, 0.005) },
+            filters: { x: HandSmoothing.createFilter(SMOOTHING), y: HandSmoothing.createFilter(SMOOTHING) },
             x: 0, y: 0, screenX: 0, screenY: 0, visible: false, gesture: 'none', ringPulse: 0, lastShootTime: 0, confidence: 0
         }
     ];
     let ringsOverlapping = false;
+    let mirror = HandPreference.load().mirror;
+    // The hub can flip it while we run
+    HandPreference.onChange(prefs => {
+        if (prefs.mirror === mirror) return;
+        mirror = prefs.mirror;
+        HandPreference.applyPreview([document.getElementById('preview-cam')], mirror);
+        handData.forEach(hand => { hand.filters.x.reset(); hand.filters.y.reset(); });
+    });
     let detectionFPS = 0;
     let detFrameCount = 0;
     let detLastSecond = performance.now();
@@ -246,6 +204,7 @@
     //  HAND TRACKING — MediaPipe Tasks Vision (synchronous)
     // ═══════════════════════════════════════════════════════════
     let handLandmarker = null;
+    let handDetector = null;   // WorkerHandDetector when ?handWorker is set and workers are available
     let videoEl = null;
     let lastVideoTime = -1;
     let trackerReady = false;
@@ -263,45 +222,16 @@
 
     async function initHandTracking() {
         try {
-            cameraStatus.textContent = '📷 Loading hand tracker...';
-            await waitForMediaPipe();
-
-            const vision = await window.FilesetResolver.forVisionTasks(
-                'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-            );
-
-            handLandmarker = await window.HandLandmarker.createFromOptions(vision, {
-                baseOptions: {
-                    modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/latest/hand_landmarker.task',
-                    delegate: 'GPU'
-                },
-                runningMode: 'VIDEO',
-                numHands: 2,
-                minHandDetectionConfidence: 0.45,
-                minHandPresenceConfidence: 0.45,
-                minTrackingConfidence: 0.35
-            });
-
-            cameraStatus.textContent = '📷 Starting camera...';
-
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: { width: { ideal: 640 }, height: { ideal: 480 }, facingMode: 'user', frameRate: { ideal: 30 } }
-            });
-
-            videoEl = document.createElement('video');
-            videoEl.srcObject = stream;
-            videoEl.setAttribute('autoplay', '');
-            videoEl.setAttribute('playsinline', '');
-            videoEl.setAttribute('muted', '');
-            videoEl.style.display = 'none';
-            document.body.appendChild(videoEl);
-            await videoEl.play();
+            const shell = HandShell.find();
+            const stream = shell ? await initShellTracking(shell) : await initOwnTracking();
 
             const previewCam = document.getElementById('preview-cam');
             if (previewCam) previewCam.srcObject = stream;
+            HandPreference.applyPreview([previewCam], mirror);
 
             trackerReady = true;
-            cameraStatus.textContent = '✅ Ready — show your palm or point your finger!';
+            cameraStatus.textContent = '✅ Ready — show your palm or point your finger!'
+                + (handDetector ? ` (${handDetector.describe()})` : '');
             startBtn.textContent = '🍉 START GAME';
             startBtn.disabled = false;
 
@@ -313,6 +243,71 @@
         }
     }
 
+    // Inside the hub shell — its camera and detector are already running
+    async function initShellTracking(shell) {
+        cameraStatus.textContent = '📷 Connecting to the hub camera...';
+        await shell.start();
+        videoEl = shell.video;
+        const unsubscribe = shell.subscribe({
+            win: window,
+            onResults: (result, timestamp) => {
+                if (trackerReady) processHands(result, timestamp);
+            },
+            onCameraChange: (stream) => {
+                const previewCam = document.getElementById('preview-cam');
+                if (previewCam) previewCam.srcObject = stream;
+            }
+        });
+        window.addEventListener('pagehide', unsubscribe, { once: true });
+        return shell.stream;
+    }
+
+    async function initOwnTracking() {
+        cameraStatus.textContent = '📷 Loading hand tracker...';
+        handDetector = await initWorkerDetector();
+
+        if (!handDetector) {
+            await waitForMediaPipe();
+
+            handLandmarker = await HandTrackerAssets.createLandmarker({
+                numHands: 2,
+                minHandDetectionConfidence: 0.45,
+                minHandPresenceConfidence: 0.45,
+                minTrackingConfidence: 0.35
+            });
+        }
+
+        cameraStatus.textContent = '📷 Starting camera...';
+
+        // Camera picked in the hub (HandCamera) wins over these defaults
+        const stream = await HandCamera.open({ width: 640, height: 480, frameRate: 30 });
+
+        videoEl = document.createElement('video');
+        videoEl.srcObject = stream;
+        videoEl.setAttribute('autoplay', '');
+        videoEl.setAttribute('playsinline', '');
+        videoEl.setAttribute('muted', '');
+        videoEl.style.display = 'none';
+        document.body.appendChild(videoEl);
+        await videoEl.play();
+        return stream;
+    }
+
+    // Off-main-thread detection — null means use the synchronous path
+    async function initWorkerDetector() {
+        const wanted = new URLSearchParams(window.location.search).has('handWorker');
+        if (!wanted || typeof WorkerHandDetector === 'undefined' || !WorkerHandDetector.isSupported()) return null;
+        const detector = new WorkerHandDetector({
+            onResults: (result, timestamp) => processHands(result, timestamp)
+        });
+        try {
+            return await detector.init();
+        } catch (err) {
+            console.warn('Worker detection failed, using main thread:', err.message);
+            return null;
+        }
+    }
+
     // ═══ GESTURE DETECTION ═══
     function detectGesture(landmarks) {
         const indexUp = landmarks[8].y < landmarks[6].y;
@@ -335,14 +330,23 @@
         return 'none';
     }
 
-    // ═══ DETECT HANDS (synchronous, every frame) ═══
+    // ═══ DETECT HANDS (every new video frame) ═══
     function detectHands() {
-        if (!trackerReady || !videoEl || !handLandmarker) return;
+        if (!trackerReady || !videoEl || (!handLandmarker && !handDetector)) return;
 
         const nowMs = performance.now();
         if (videoEl.currentTime === lastVideoTime) return;
+
+        if (handDetector) {
+            // Async — processHands runs when the worker answers; busy frames are skipped
+            if (handDetector.detect(videoEl, nowMs)) lastVideoTime = videoEl.currentTime;
+            return;
+        }
         lastVideoTime = videoEl.currentTime;
+        processHands(handLandmarker.detectForVideo(videoEl, nowMs), nowMs);
+    }
 
+    function processHands(result, nowMs) {
         // Detection FPS counter
         detFrameCount++;
         if (nowMs - detLastSecond > 1000) {
@@ -352,7 +356,6 @@
             updateQualityIndicator();
         }
 
-        const result = handLandmarker.detectForVideo(videoEl, nowMs);
         const t = nowMs / 1000;  // seconds for One-Euro filter
 
         handData[0].visible = false;
@@ -370,11 +373,11 @@
             let rawX, rawY;
             if (gesture === 'palm') {
                 // Palm center = wrist midpoint with middle finger MCP
-                rawX = 1 - (lm[0].x + lm[9].x) / 2;
+                rawX = HandPreference.viewX((lm[0].x + lm[9].x) / 2, mirror);
                 rawY = (lm[0].y + lm[9].y) / 2;
             } else {
                 // Gun-point: index fingertip position
-                rawX = 1 - lm[8].x;
+                rawX = HandPreference.viewX(lm[8].x, mirror);
                 rawY = lm[8].y;
             }
 
@@ -485,6 +488,18 @@
     startBtn.addEventListener('click', () => { ensureAudio(); startGame(); });
     restartBtn.addEventListener('click', () => startGame());
 
+    // ═══ ACTIONS (keyboard / gamepad — rebind with F1) ═══
+    const input = new InputRouter('fruit-ninja', {
+        actions: {
+            start: { label: 'Start / Play again', bindings: ['key:Enter', 'key:Space', 'pad:0'] }
+        }
+    });
+    input.on('start', (e) => {
+        if (e.phase !== 'press') return;
+        if (state === 'menu' && !startBtn.disabled) startBtn.click();
+        else if (state === 'dead') restartBtn.click();
+    });
+
     // ═══ GAME LOGIC ═══
     function startGame() {
         state = 'playing';
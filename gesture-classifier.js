@@ -0,0 +1,134 @@
+/* ═══════════════════════════════════════════════════════════
+   🧠 GESTURE CLASSIFIER — Trained poses, nearest-neighbour
+   Landmarks are normalized for translation (wrist at origin),
+   scale (wrist → middle MCP = 1), rotation (that bone points
+   up) and handedness (left hands mirrored onto right), then
+   matched against recorded samples with k-nearest-neighbours.
+   Samples are recorded on trainer.html and kept in localStorage;
+   any HandCursor page registers them with
+   cursor.registerTrainedGestures().
+   ═══════════════════════════════════════════════════════════ */
+
+class GestureClassifier {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || GestureClassifier.STORAGE_KEY;
+    this.k = options.k || 5;
+    this.maxDistance = options.maxDistance || 0.35;   // mean per-point distance, in hand sizes
+    this.samples = {};        // name → [feature vectors]
+    this._last = null;        // { landmarks, hand, result } — one classification per frame
+  }
+
+  static load(storageKey = GestureClassifier.STORAGE_KEY, options = {}) {
+    const classifier = new GestureClassifier(Object.assign({}, options, { storageKey }));
+    try {
+      const saved = JSON.parse(localStorage.getItem(storageKey));
+      if (saved && saved.format === GestureClassifier.FORMAT && saved.samples) classifier.samples = saved.samples;
+    } catch (e) { /* corrupt entry — start empty */ }
+    return classifier;
+  }
+
+  save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ format: GestureClassifier.FORMAT, samples: this.samples }));
+  }
+
+  /* ─── Samples ───────────────────────────────── */
+  // hand: 'left' / 'right' (player's hand) — left hands are mirrored so both share samples
+  addSample(name, landmarks, { hand = 'right', aspect } = {}) {
+    if (!this.samples[name]) this.samples[name] = [];
+    this.samples[name].push(GestureClassifier.normalize(landmarks, { hand, aspect }));
+    this._last = null;
+    return this.samples[name].length;
+  }
+
+  removeGesture(name) {
+    delete this.samples[name];
+    this._last = null;
+  }
+
+  clear() {
+    this.samples = {};
+    this._last = null;
+  }
+
+  getGestureNames() {
+    return Object.keys(this.samples).filter(name => this.samples[name].length);
+  }
+
+  getSampleCount(name) {
+    return this.samples[name] ? this.samples[name].length : 0;
+  }
+
+  /* ─── Classify ──────────────────────────────── */
+  // → { label, confidence, distance, scores: { name: 0..1 } }; label null when nothing is close
+  classify(landmarks, { hand = 'right', aspect } = {}) {
+    if (this._last && this._last.landmarks === landmarks && this._last.hand === hand) return this._last.result;
+
+    const features = GestureClassifier.normalize(landmarks, { hand, aspect });
+    const neighbours = [];
+    Object.entries(this.samples).forEach(([name, vectors]) => {
+      vectors.forEach(v => neighbours.push({ name, distance: GestureClassifier.distance(features, v) }));
+    });
+    neighbours.sort((a, b) => a.distance - b.distance);
+
+    // Votes from the k nearest samples within maxDistance, closer ones count more;
+    // shares are of those votes only, so far samples don't dilute the score
+    const scores = {};
+    Object.keys(this.samples).forEach(name => { scores[name] = 0; });
+    const nearest = neighbours.slice(0, this.k).filter(n => n.distance <= this.maxDistance);
+    const total = nearest.reduce((sum, n) => sum + 1 / (n.distance + 0.01), 0);
+    nearest.forEach(n => { scores[n.name] += (1 / (n.distance + 0.01)) / total; });
+
+    const best = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    const result = {
+      label: best && best[1] > 0 ? best[0] : null,
+      confidence: best ? best[1] : 0,
+      distance: neighbours.length ? neighbours[0].distance : Infinity,
+      scores
+    };
+    this._last = { landmarks, hand, result };
+    return result;
+  }
+
+  // Registry spec for HandCursor.registerGesture — score is the gesture's vote share
+  gestureSpec(name, { enter = 0.6, exit = 0.4, holdMs = 120 } = {}) {
+    return {
+      detect: (landmarks, tracker, hand) => {
+        const video = tracker.video;
+        const aspect = video && video.videoWidth ? video.videoWidth / video.videoHeight : undefined;
+        return this.classify(landmarks, { hand: hand.id, aspect }).scores[name] || 0;
+      },
+      enter, exit, holdMs
+    };
+  }
+
+  /* ─── Features ──────────────────────────────── */
+  // 20 points (wrist dropped — always the origin) as a flat [x, y, ...] array
+  static normalize(landmarks, { hand = 'right', aspect = 16 / 9 } = {}) {
+    const flip = hand === 'left' ? -1 : 1;
+    const wrist = landmarks[0];
+    const points = landmarks.map(p => ({ x: (p.x - wrist.x) * aspect * flip, y: p.y - wrist.y }));
+
+    // Rotate so wrist → middle MCP points straight up (−y), then scale it to length 1
+    const ref = points[9];
+    const length = Math.max(1e-6, Math.hypot(ref.x, ref.y));
+    const angle = Math.atan2(ref.x, -ref.y);
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+
+    const features = [];
+    for (let i = 1; i < points.length; i++) {
+      const { x, y } = points[i];
+      features.push((x * cos + y * sin) / length, (-x * sin + y * cos) / length);
+    }
+    return features;
+  }
+
+  // Mean per-point distance, in hand sizes
+  static distance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i += 2) sum += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1]);
+    return sum / (a.length / 2);
+  }
+}
+
+GestureClassifier.STORAGE_KEY = 'gesture-classifier';
+GestureClassifier.FORMAT = 'gesture-classifier-v1';
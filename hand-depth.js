@@ -0,0 +1,51 @@
+/* ═══════════════════════════════════════════════════════════
+   📏 HAND DEPTH — Camera distance from apparent hand size
+   Video size defaults to HandCamera.DEFAULTS (hand-detector.js),
+   filters come from hand-smoothing.js.
+   Load before hand-tracker.js
+   ═══════════════════════════════════════════════════════════ */
+
+// ═══════════════════════════════════════
+//  DEPTH
+//  Pinhole estimate: real palm size (from
+//  worldLandmarks, metres) vs its size in
+//  pixels. Uses the larger of palm length /
+//  width so a tilted hand isn't read as far.
+// ═══════════════════════════════════════
+class HandDepth {
+  // landmarks: normalized image landmarks; worldLandmarks: same hand in metres (optional)
+  // camera: { width, height, fov } — video size in px and horizontal field of view in degrees
+  static estimate(landmarks, worldLandmarks, camera = {}) {
+    if (!landmarks) return null;
+    const width = camera.width || HandCamera.DEFAULTS.width;
+    const height = camera.height || HandCamera.DEFAULTS.height;
+    const fov = (camera.fov || HandDepth.DEFAULT_FOV) * Math.PI / 180;
+    const focalPx = (width / 2) / Math.tan(fov / 2);
+
+    const imageSize = (a, b) => Math.hypot((landmarks[a].x - landmarks[b].x) * width, (landmarks[a].y - landmarks[b].y) * height);
+    const realSize = (a, b, fallback) => worldLandmarks
+      ? Math.hypot(worldLandmarks[a].x - worldLandmarks[b].x, worldLandmarks[a].y - worldLandmarks[b].y, worldLandmarks[a].z - worldLandmarks[b].z)
+      : fallback;
+
+    // Wrist → middle MCP (length) and index MCP → pinky MCP (width)
+    const estimates = [
+      [realSize(0, 9, HandDepth.PALM_LENGTH_M), imageSize(0, 9)],
+      [realSize(5, 17, HandDepth.PALM_WIDTH_M), imageSize(5, 17)]
+    ].filter(([, px]) => px > 1).map(([m, px]) => m * focalPx / px);
+
+    return estimates.length ? Math.min(...estimates) : null;
+  }
+
+  // Per-frame estimates jump by a few cm — smooth them like the cursor (metres in, metres out)
+  static createFilter(params = HandDepth.SMOOTHING) {
+    return HandSmoothing.createFilter(params);
+  }
+}
+
+// Distances scale with tan(fov / 2): a 78° webcam read as 60° comes out ~35%
+// too far. Pass cameraFov to HandCursor (or ?cameraFov=78) for other lenses
+HandDepth.DEFAULT_FOV = 60;        // typical webcam horizontal FOV, degrees
+HandDepth.PALM_LENGTH_M = 0.095;   // adult averages, used when worldLandmarks are missing
+HandDepth.PALM_WIDTH_M = 0.075;
+// One-Euro in metres: 1 Hz at rest, beta adds 4 Hz per m/s so a punch isn't lagged
+HandDepth.SMOOTHING = { minCutoff: 1.0, beta: 4.0, dCutoff: 1.0 };
@@ -0,0 +1,73 @@
+/* ═══════════════════════════════════════════════════════════
+   🧵 HAND DETECTOR WORKER — MediaPipe inference off the main thread
+   Classic worker driven by WorkerHandDetector (hand-detector.js).
+   Not a module worker: the tasks-vision wasm loader is pulled in
+   with importScripts, which throws inside module workers.
+   Receives ImageBitmap frames, posts back landmarks in the same
+   shape as HandLandmarker.detectForVideo().
+   Asset paths arrive in the init message (see HandTrackerAssets).
+   ═══════════════════════════════════════════════════════════ */
+
+let handLandmarker = null;
+
+// Returns { landmarker, delegate } — delegate is the one that actually loaded
+async function createLandmarker({ workerBundlePath, wasmPath, modelPath, delegate, options }) {
+  // CommonJS build of the bundle — it assigns its exports onto this object
+  self.exports = {};
+  importScripts(workerBundlePath);
+  const { FilesetResolver, HandLandmarker } = self.exports;
+
+  const vision = await FilesetResolver.forVisionTasks(wasmPath);
+  const create = d => HandLandmarker.createFromOptions(vision, {
+    baseOptions: { modelAssetPath: modelPath, delegate: d },
+    runningMode: 'VIDEO',
+    ...options
+  });
+
+  // Not every browser exposes WebGL to workers — fall back to CPU
+  try {
+    return { landmarker: await create(delegate), delegate };
+  } catch (err) {
+    if (delegate !== 'GPU') throw err;
+    return { landmarker: await create('CPU'), delegate: 'CPU' };
+  }
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+
+  if (msg.type === 'init') {
+    try {
+      const created = await createLandmarker(msg);
+      handLandmarker = created.landmarker;
+      self.postMessage({ type: 'ready', delegate: created.delegate });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message || String(err) });
+    }
+    return;
+  }
+
+  if (msg.type === 'frame') {
+    const { frame, timestamp } = msg;
+    try {
+      const result = handLandmarker.detectForVideo(frame, timestamp);
+      self.postMessage({
+        type: 'result',
+        timestamp,
+        landmarks: result.landmarks,
+        worldLandmarks: result.worldLandmarks,
+        handedness: result.handedness
+      });
+    } catch (err) {
+      self.postMessage({ type: 'error', timestamp, message: err.message || String(err) });
+    } finally {
+      frame.close();
+    }
+    return;
+  }
+
+  if (msg.type === 'close') {
+    if (handLandmarker) handLandmarker.close();
+    self.close();
+  }
+};
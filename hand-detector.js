@@ -0,0 +1,533 @@
+/* ═══════════════════════════════════════════════════════════
+   🧵 HAND DETECTOR — Shared MediaPipe setup for every game
+   + HandTrackerAssets: one pinned version, configurable local
+     asset paths (offline venues / kiosks), GPU → CPU fallback
+   + HandCamera: webcam choice, resolution + frame rate, persisted
+     for the hub and every game
+   + WorkerHandDetector: main-thread side of hand-detector-worker.js.
+     Grabs video frames as ImageBitmaps, runs HandLandmarker in a
+     Web Worker and hands results back asynchronously, so render
+     frame rate no longer depends on inference time.
+   + HandShell: the hub's one camera + detector, shared with the
+     game in its iframe — no camera / model restart per game
+
+   Results keep the detectForVideo() shape:
+     { landmarks, worldLandmarks, handedness }
+   Games keep their synchronous path as the fallback.
+   Camera, worker and shell plumbing only — hand helpers have their
+   own scripts (hand-preference.js, hand-smoothing.js, ...).
+   Load before hand-tracker.js and before any game script.
+   ═══════════════════════════════════════════════════════════ */
+
+// ═══════════════════════════════════════
+//  ASSETS
+//  Defaults come from the CDN at a pinned
+//  version. Override, in priority order:
+//   1. ?handAssets=<base url>
+//   2. window.HAND_TRACKER_ASSETS = { base | bundlePath, workerBundlePath, wasmPath, modelPath }
+//   3. HandTrackerAssets.save({...}) — persisted for every page
+//  A base URL expects vision_bundle.mjs, vision_bundle.cjs (worker),
+//  wasm/ and hand_landmarker.task.
+// ═══════════════════════════════════════
+class HandTrackerAssets {
+  static defaults() {
+    const v = HandTrackerAssets.VERSION;
+    return {
+      bundlePath: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${v}/vision_bundle.mjs`,
+      workerBundlePath: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${v}/vision_bundle.cjs`,
+      wasmPath: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${v}/wasm`,
+      modelPath: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
+    };
+  }
+
+  static fromBase(base) {
+    const root = base.replace(/\/+$/, '');
+    return {
+      bundlePath: `${root}/vision_bundle.mjs`,
+      workerBundlePath: `${root}/vision_bundle.cjs`,
+      wasmPath: `${root}/wasm`,
+      modelPath: `${root}/hand_landmarker.task`
+    };
+  }
+
+  static _expand(config) {
+    if (!config) return {};
+    const paths = config.base ? HandTrackerAssets.fromBase(config.base) : {};
+    ['bundlePath', 'workerBundlePath', 'wasmPath', 'modelPath'].forEach(k => { if (config[k]) paths[k] = config[k]; });
+    return paths;
+  }
+
+  // Resolved paths are absolute, so they also work from inside the worker
+  static get() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(HandTrackerAssets.STORAGE_KEY));
+    } catch (e) { /* ignore corrupt entry */ }
+    const param = new URLSearchParams(window.location.search).get('handAssets');
+
+    const assets = Object.assign(
+      HandTrackerAssets.defaults(),
+      HandTrackerAssets._expand(saved),
+      HandTrackerAssets._expand(window.HAND_TRACKER_ASSETS),
+      param ? HandTrackerAssets.fromBase(param) : {}
+    );
+    Object.keys(assets).forEach(k => { assets[k] = new URL(assets[k], window.location.href).href; });
+    return assets;
+  }
+
+  static save(config) {
+    if (config) localStorage.setItem(HandTrackerAssets.STORAGE_KEY, JSON.stringify(config));
+    else localStorage.removeItem(HandTrackerAssets.STORAGE_KEY);
+  }
+
+  // Pages import the bundle through this instead of hardcoding a CDN URL
+  static async loadVision() {
+    const { FilesetResolver, HandLandmarker } = await import(HandTrackerAssets.get().bundlePath);
+    window.FilesetResolver = FilesetResolver;
+    window.HandLandmarker = HandLandmarker;
+  }
+
+  // Main-thread HandLandmarker (VIDEO mode); retries on CPU when the GPU delegate throws
+  static async createLandmarker(landmarkerOptions, delegate = 'GPU') {
+    const assets = HandTrackerAssets.get();
+    const vision = await window.FilesetResolver.forVisionTasks(assets.wasmPath);
+    const create = d => window.HandLandmarker.createFromOptions(vision, {
+      baseOptions: { modelAssetPath: assets.modelPath, delegate: d },
+      runningMode: 'VIDEO',
+      ...landmarkerOptions
+    });
+
+    try {
+      return await create(delegate);
+    } catch (err) {
+      if (delegate !== 'GPU') throw err;
+      console.warn('GPU delegate failed, falling back to CPU:', err.message || err);
+      return create('CPU');
+    }
+  }
+}
+
+HandTrackerAssets.VERSION = '0.10.14';
+HandTrackerAssets.STORAGE_KEY = 'hand-tracker-assets';
+
+// ═══════════════════════════════════════
+//  CAMERA
+//  Saved choice ({ deviceId, label, width,
+//  height, frameRate }) beats a page's own
+//  defaults, so one pick applies everywhere
+// ═══════════════════════════════════════
+class HandCamera {
+  static load() {
+    try {
+      return JSON.parse(localStorage.getItem(HandCamera.STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  static save(settings) {
+    if (settings) localStorage.setItem(HandCamera.STORAGE_KEY, JSON.stringify(settings));
+    else localStorage.removeItem(HandCamera.STORAGE_KEY);
+  }
+
+  // Labels are only filled in once the page has camera permission
+  static async listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(d => d.kind === 'videoinput')
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+  }
+
+  static constraints(defaults = {}, useDevice = true, settings = HandCamera.load()) {
+    const s = Object.assign({}, HandCamera.DEFAULTS, defaults, settings);
+    const video = {
+      width: { ideal: s.width },
+      height: { ideal: s.height },
+      frameRate: { ideal: s.frameRate }
+    };
+    if (useDevice && s.deviceId) video.deviceId = { exact: s.deviceId };
+    else video.facingMode = 'user';
+    return { video };
+  }
+
+  // A saved device that's been unplugged falls back to the default camera;
+  // strict skips that (a fresh pick should fail loudly, not open something else)
+  static async open(defaults = {}, { settings = HandCamera.load(), strict = false } = {}) {
+    try {
+      return await navigator.mediaDevices.getUserMedia(HandCamera.constraints(defaults, true, settings));
+    } catch (err) {
+      const missing = ['OverconstrainedError', 'NotFoundError', 'NotReadableError'].includes(err.name);
+      if (strict || !settings.deviceId || !missing) throw err;
+      console.warn('Saved camera unavailable, using default:', err.message || err.name);
+      return navigator.mediaDevices.getUserMedia(HandCamera.constraints(defaults, false, settings));
+    }
+  }
+
+  // Moves a playing video onto new settings. They're saved only once the device
+  // opens; otherwise the previous settings are reopened → { stream, error }
+  static async replace(video, changes, defaults = {}) {
+    const previous = HandCamera.load();
+    const next = Object.assign({}, previous, changes);
+    // Release the old device first — many webcams can't be opened twice
+    if (video.srcObject) video.srcObject.getTracks().forEach(t => t.stop());
+    try {
+      video.srcObject = await HandCamera.open(defaults, { settings: next, strict: true });
+      HandCamera.save(next);
+      return { stream: video.srcObject, error: null };
+    } catch (error) {
+      video.srcObject = await HandCamera.open(defaults, { settings: previous }).catch(() => null);
+      return { stream: video.srcObject, error };
+    }
+  }
+}
+
+HandCamera.STORAGE_KEY = 'hand-camera';
+HandCamera.DEFAULTS = { width: 1280, height: 720, frameRate: 60 };
+HandCamera.RESOLUTIONS = [
+  { label: '640 × 480', width: 640, height: 480 },
+  { label: '1280 × 720', width: 1280, height: 720 },
+  { label: '1920 × 1080', width: 1920, height: 1080 }
+];
+HandCamera.FRAME_RATES = [30, 60];
+
+class WorkerHandDetector {
+  constructor(options = {}) {
+    const assets = HandTrackerAssets.get();
+    this.workerUrl = options.workerUrl || WorkerHandDetector.WORKER_URL;
+    this.workerBundlePath = options.workerBundlePath || assets.workerBundlePath;
+    this.wasmPath = options.wasmPath || assets.wasmPath;
+    this.modelPath = options.modelPath || assets.modelPath;
+    this.delegate = options.delegate || 'GPU';
+    this.landmarkerOptions = Object.assign({
+      numHands: 2,
+      minHandDetectionConfidence: 0.45,
+      minHandPresenceConfidence: 0.45,
+      minTrackingConfidence: 0.35
+    }, options.landmarkerOptions);
+
+    this.worker = null;
+    this.ready = false;
+    this.activeDelegate = null;   // 'GPU' / 'CPU' as reported by the worker once ready
+    this.busy = false;        // one frame in flight at a time — newer frames are skipped, not queued
+
+    // Callbacks
+    this.onResults = options.onResults || null;   // (result, timestamp)
+    this.onError = options.onError || null;       // (error)
+
+    this._pendingInit = null;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function';
+  }
+
+  /* ─── Start worker + load model ─────────────── */
+  init(timeout = 20000) {
+    if (this._pendingInit) return this._pendingInit.promise;
+
+    const promise = new Promise((resolve, reject) => {
+      this._pendingInit = { resolve, reject, promise: null };
+      try {
+        this.worker = new Worker(this.workerUrl);   // classic — see hand-detector-worker.js
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      this.worker.onmessage = (e) => this._onMessage(e.data);
+      this.worker.onerror = (e) => this._fail(new Error(e.message || 'Hand detector worker failed to load'));
+      this.worker.postMessage({
+        type: 'init',
+        workerBundlePath: this.workerBundlePath,
+        wasmPath: this.wasmPath,
+        modelPath: this.modelPath,
+        delegate: this.delegate,
+        options: this.landmarkerOptions
+      });
+      setTimeout(() => {
+        if (!this.ready) this._fail(new Error('Hand detector worker init timeout'));
+      }, timeout);
+    });
+    this._pendingInit.promise = promise;
+    return promise;
+  }
+
+  /* ─── Submit a frame ────────────────────────── */
+  // Returns false when the frame was skipped (worker busy or not ready)
+  detect(source, timestamp = performance.now()) {
+    if (!this.ready || this.busy) return false;
+    this.busy = true;
+
+    createImageBitmap(source).then(frame => {
+      if (!this.worker) {
+        frame.close();
+        return;
+      }
+      this.worker.postMessage({ type: 'frame', frame, timestamp }, [frame]);
+    }).catch(err => {
+      this.busy = false;
+      if (this.onError) this.onError(err);
+    });
+    return true;
+  }
+
+  _onMessage(msg) {
+    if (msg.type === 'ready') {
+      this.ready = true;
+      this.activeDelegate = msg.delegate || null;
+      console.info(`WorkerHandDetector: detecting in a worker (${this.describe()})`);
+      this._pendingInit.resolve(this);
+    } else if (msg.type === 'result') {
+      this.busy = false;
+      if (this.onResults) {
+        this.onResults({
+          landmarks: msg.landmarks || [],
+          worldLandmarks: msg.worldLandmarks || [],
+          handedness: msg.handedness || []
+        }, msg.timestamp);
+      }
+    } else if (msg.type === 'error') {
+      this.busy = false;
+      this._fail(new Error(msg.message));
+    }
+  }
+
+  _fail(err) {
+    if (!this.ready) {
+      this.terminate();
+      if (this._pendingInit) this._pendingInit.reject(err);
+      return;
+    }
+    console.error('WorkerHandDetector error:', err);
+    if (this.onError) this.onError(err);
+  }
+
+  // Status line for games: 'worker · GPU'
+  describe() {
+    return this.ready ? `worker · ${this.activeDelegate || '?'}` : 'worker (not ready)';
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'close' });
+      this.worker.terminate();
+    }
+    this.worker = null;
+    this.ready = false;
+    this.busy = false;
+  }
+}
+
+// Worker script sits next to this file, wherever the page that loads it lives
+WorkerHandDetector.WORKER_URL = document.currentScript
+  ? new URL('hand-detector-worker.js', document.currentScript.src).href
+  : 'hand-detector-worker.js';
+
+// ═══════════════════════════════════════
+//  HAND SHELL
+//  One camera stream + one detector owned by
+//  the hub, shared with the game running in
+//  its <iframe>. A HandCursor inside the frame
+//  finds it (HandShell.find) and subscribes
+//  instead of opening the camera and loading
+//  the model again, so switching games skips
+//  camera start-up, model load and warm-up.
+//  Opened on their own, games work as before.
+// ═══════════════════════════════════════
+class HandShell {
+  constructor(options = {}) {
+    this.cameraDefaults = options.camera || {};
+    this.useWorker = options.useWorker || false;
+    this.landmarkerOptions = Object.assign({
+      numHands: 2,
+      minHandDetectionConfidence: 0.45,
+      minHandPresenceConfidence: 0.45,
+      minTrackingConfidence: 0.35
+    }, options.landmarkerOptions);
+
+    this.video = null;
+    this.handLandmarker = null;
+    this.detector = null;         // WorkerHandDetector when running off the main thread
+    this.workerFallback = null;   // why the worker was asked for but isn't running
+    this.ready = false;
+    this.lastVideoTime = -1;
+
+    // Subscribers — { onResults, onCameraChange, win }
+    this._subscribers = new Set();
+    this._starting = null;
+
+    // Callbacks
+    this.onExit = options.onExit || null;   // a hosted game asked to go back to the hub
+  }
+
+  /* ─── Lookup ────────────────────────────────── */
+  // The shell of the nearest same-origin parent frame, or null (standalone page)
+  static find(win = window) {
+    let frame = win;
+    while (frame.parent && frame.parent !== frame) {
+      frame = frame.parent;
+      try {
+        if (frame[HandShell.GLOBAL]) return frame[HandShell.GLOBAL];
+      } catch (err) {
+        return null;            // cross-origin parent
+      }
+    }
+    return null;
+  }
+
+  // Makes this shell visible to frames hosted by `win`
+  publish(win = window) {
+    win[HandShell.GLOBAL] = this;
+    return this;
+  }
+
+  // Back-to-hub for game pages: closes the frame inside the shell, navigates otherwise
+  static exit(hubUrl) {
+    const shell = HandShell.find();
+    if (shell && shell.onExit) shell.onExit();
+    else window.location.href = hubUrl;
+  }
+
+  /* ─── Camera + Detector ─────────────────────── */
+  // Safe to call from every subscriber — camera and model start once
+  start() {
+    if (!this._starting) {
+      this._starting = this._start().catch(err => {
+        this._starting = null;
+        throw err;
+      });
+    }
+    return this._starting;
+  }
+
+  async _start() {
+    if (!this.video) {
+      this.video = document.createElement('video');
+      this.video.setAttribute('autoplay', '');
+      this.video.setAttribute('playsinline', '');
+      this.video.setAttribute('muted', '');
+      this.video.style.display = 'none';
+      document.body.appendChild(this.video);
+    }
+
+    if (this.useWorker && !this.detector && !WorkerHandDetector.isSupported()) {
+      this.workerFallback = 'workers unavailable';
+    } else if (this.useWorker && !this.detector) {
+      try {
+        this.detector = await new WorkerHandDetector({
+          landmarkerOptions: this.landmarkerOptions,
+          onResults: (result, timestamp) => this._deliver(result, timestamp),
+          onError: (err) => console.warn('HandShell worker detection error:', err)
+        }).init();
+      } catch (err) {
+        this.workerFallback = err.message;
+        console.warn('HandShell: worker detector failed, using main thread —', err.message);
+      }
+    }
+    if (!this.detector && !this.handLandmarker) {
+      if (!window.HandLandmarker) await HandTrackerAssets.loadVision();
+      this.handLandmarker = await HandTrackerAssets.createLandmarker(this.landmarkerOptions);
+    }
+
+    this.video.srcObject = await HandCamera.open(this.cameraDefaults);
+    await new Promise(resolve => { this.video.onloadeddata = resolve; });
+
+    // Let the camera settle (exposure, focus) before the first detection
+    await new Promise(resolve => setTimeout(resolve, HandShell.WARMUP_MS));
+    this.ready = true;
+    this._loop();
+    return this;
+  }
+
+  get stream() {
+    return this.video ? this.video.srcObject : null;
+  }
+
+  // 'worker · GPU', 'main' or 'main (worker failed: …)'
+  describeDetector() {
+    if (this.detector) return this.detector.describe();
+    return this.workerFallback ? `main (worker failed: ${this.workerFallback})` : 'main';
+  }
+
+  _loop() {
+    if (!this.ready) return;
+
+    if (this.video.currentTime !== this.lastVideoTime) {
+      const now = performance.now();
+      if (this.detector) {
+        if (this.detector.detect(this.video, now)) this.lastVideoTime = this.video.currentTime;
+      } else {
+        this.lastVideoTime = this.video.currentTime;
+        this._deliver(this.handLandmarker.detectForVideo(this.video, now), now);
+      }
+    }
+    requestAnimationFrame(() => this._loop());
+  }
+
+  /* ─── Subscribers ───────────────────────────── */
+  // onResults(detection, timestamp) — timestamp on the subscriber window's own
+  // performance.now() clock (every frame has its own time origin).
+  // win is required: a default would be the hub's window, not the caller's
+  subscribe({ onResults = null, onCameraChange = null, win } = {}) {
+    if (!win || !win.performance) throw new Error('HandShell.subscribe needs { win: window } from the subscribing page');
+    const subscriber = { onResults, onCameraChange, win };
+    this._subscribers.add(subscriber);
+    return () => this._subscribers.delete(subscriber);
+  }
+
+  // Drops everything a frame subscribed — for frames removed without cleaning up
+  unsubscribeWindow(win) {
+    this._subscribers.forEach(sub => {
+      if (sub.win === win) this._subscribers.delete(sub);
+    });
+  }
+
+  _deliver(detection, timestamp) {
+    this._subscribers.forEach(sub => {
+      // A frame that was removed without unsubscribing
+      if (sub.win.closed) {
+        this._subscribers.delete(sub);
+        return;
+      }
+      if (!sub.onResults) return;
+      try {
+        sub.onResults(detection, timestamp + performance.timeOrigin - sub.win.performance.timeOrigin);
+      } catch (err) {
+        console.error('HandShell subscriber error:', err);
+      }
+    });
+  }
+
+  // Same contract as HandCursor.setCamera — every subscriber gets onCameraChange,
+  // also for the previous camera coming back after a failed switch
+  async setCamera(settings) {
+    if (!this.stream) {
+      HandCamera.save(Object.assign(HandCamera.load(), settings));
+      return null;
+    }
+
+    const { stream, error } = await HandCamera.replace(this.video, settings, this.cameraDefaults);
+    this.lastVideoTime = -1;
+    if (stream) {
+      this._subscribers.forEach(sub => {
+        if (sub.onCameraChange && !sub.win.closed) sub.onCameraChange(stream);
+      });
+    }
+    if (error) throw error;
+    return stream;
+  }
+
+  destroy() {
+    this.ready = false;
+    this._subscribers.clear();
+    if (this.detector) this.detector.terminate();
+    this.detector = null;
+    if (this.video) {
+      if (this.video.srcObject) this.video.srcObject.getTracks().forEach(t => t.stop());
+      this.video.remove();
+    }
+  }
+}
+
+HandShell.GLOBAL = 'handShell';
+HandShell.WARMUP_MS = 1500;
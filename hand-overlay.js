@@ -0,0 +1,248 @@
+/* ═══════════════════════════════════════════════════════════
+   🦴 HAND OVERLAY — Shared skeleton drawing over the preview video
+   Draws every tracked hand on a canvas laid over the webcam
+   preview. Debug mode (F3 by default) adds landmark indices,
+   active gestures, pinch amount and raw vs filtered cursor.
+   With a HandCursor it draws itself after every frame; games
+   with their own detector call draw() with landmarks.
+   ═══════════════════════════════════════════════════════════ */
+
+class HandOverlay {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.handCursor = options.handCursor || null;
+    this.video = options.video || null;            // canvas is resized to the video's frame
+    // Canvas flipped with CSS scaleX(-1) — follows the mirror preference (HandPreference.applyPreview)
+    this.mirrored = options.mirrored !== undefined ? options.mirrored
+      : this.handCursor ? this.handCursor.mirror : HandPreference.load().mirror;
+
+    // Style
+    this.color = options.color || 'rgba(0, 255, 255, 0.8)';
+    this.lineWidth = options.lineWidth || 2;
+    this.radius = options.radius || 3;
+    this.glowTips = !!options.glowTips;
+    this.colorFor = options.colorFor || null;      // (entry) → color, e.g. by gesture
+
+    // Debug annotations
+    this.debug = !!options.debug || new URLSearchParams(window.location.search).has('handOverlayDebug');
+    this.showIndices = options.showIndices !== undefined ? options.showIndices : true;   // in debug mode
+    this.toggleKey = options.toggleKey !== undefined ? options.toggleKey : 'F3';
+    this.visible = options.visible !== undefined ? options.visible : true;
+    this._opacity = canvas.style.opacity;
+
+    this._unsubscribe = null;
+    this._onKey = (e) => {
+      if (e.code === this.toggleKey) this.toggleDebug();
+    };
+    this._onVideoSize = () => this._matchVideo();
+
+    if (this.toggleKey) window.addEventListener('keydown', this._onKey);
+    if (this.video) {
+      this.video.addEventListener('loadeddata', this._onVideoSize);
+      this.video.addEventListener('resize', this._onVideoSize);
+      this._matchVideo();
+    }
+    if (this.handCursor) {
+      // 'results' fires before the hands update — draw once the frame is processed
+      this._unsubscribe = this.handCursor.on('results', () => queueMicrotask(() => this.drawTracker()));
+    }
+    // Keep following the preference when it's toggled while the page runs
+    this._unsubscribeMirror = null;
+    if (options.mirrored === undefined) {
+      this._unsubscribeMirror = this.handCursor
+        ? this.handCursor.on('preferencechange', e => { this.mirrored = e.mirror; })
+        : HandPreference.onChange(prefs => { this.mirrored = prefs.mirror; });
+    }
+    this._applyDebugStyle();
+  }
+
+  /* ─── Toggles ───────────────────────────────── */
+  setDebug(debug) {
+    this.debug = debug;
+    this._applyDebugStyle();
+    return this;
+  }
+
+  toggleDebug() {
+    return this.setDebug(!this.debug);
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    if (!visible) this.clear();
+    return this;
+  }
+
+  // Overlays are often faded into the background — debug labels need to be readable
+  _applyDebugStyle() {
+    this.canvas.style.opacity = this.debug ? '1' : this._opacity;
+  }
+
+  _matchVideo() {
+    if (!this.video || !this.video.videoWidth) return;
+    this.canvas.width = this.video.videoWidth;
+    this.canvas.height = this.video.videoHeight;
+  }
+
+  /* ─── Drawing ───────────────────────────────── */
+  clear() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  // hands: [{ landmarks, color?, label?, lines?: [text], filtered?: { x, y } }]
+  // landmarks and filtered are in image coords (0..1, not mirrored)
+  draw(hands) {
+    this.clear();
+    if (!this.visible) return;
+    hands.forEach(entry => {
+      if (!entry || !entry.landmarks) return;
+      this._drawSkeleton(entry);
+      if (this.debug) this._drawAnnotations(entry);
+    });
+  }
+
+  // HandCursor mode: both hands from the tracker's state, coasting hands dimmed
+  drawTracker() {
+    const tracker = this.handCursor;
+    this.draw(tracker.getVisibleHands().filter(hand => hand.landmarks).map(hand => {
+      const gestures = tracker.getActiveGestures(hand.id);
+      const entry = {
+        id: hand.id,
+        landmarks: hand.landmarks,
+        gestures,
+        coasting: hand.coasting,
+        label: `${hand.id.toUpperCase()}${hand.id === tracker.primaryHand ? ' ★' : ''}${hand.coasting ? ' (coasting)' : ''}`,
+        lines: [
+          `${gestures.length ? gestures.join(' + ') : 'no gesture'}  fingers ${hand.fingerCount}`,
+          `pinch ${hand.pinchAmount.toFixed(2)} (on ≥ ${tracker.PINCH_PRESS.toFixed(2)}, off < ${tracker.PINCH_RELEASE.toFixed(2)})`,
+          `raw ${hand.rawX.toFixed(3)}, ${hand.rawY.toFixed(3)} → ${hand.x.toFixed(3)}, ${hand.y.toFixed(3)}`,
+          hand.distance ? `dist ${hand.distance.toFixed(2)} m  conf ${hand.handednessScore.toFixed(2)}`
+            : `conf ${hand.handednessScore.toFixed(2)}`
+        ],
+        filtered: this._trackerToImage(hand)
+      };
+      entry.color = this.colorFor ? this.colorFor(entry) : hand.coasting ? 'rgba(255, 255, 255, 0.35)' : this.color;
+      return entry;
+    }));
+  }
+
+  // Filtered cursor (screen space, calibrated) back into image coords for drawing
+  _trackerToImage(hand) {
+    const c = this.handCursor._calibrationRun ? null : this.handCursor.calibration;
+    const x = c ? c.left + hand.x * (c.right - c.left) : hand.x;
+    const y = c ? c.top + hand.y * (c.bottom - c.top) : hand.y;
+    return { x: HandPreference.viewX(x, this.handCursor.mirror), y };
+  }
+
+  _drawSkeleton(entry) {
+    const ctx = this.ctx;
+    const w = this.canvas.width, h = this.canvas.height;
+    const lm = entry.landmarks;
+    const color = entry.color || this.color;
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = this.lineWidth;
+    for (const [a, b] of HandOverlay.CONNECTIONS) {
+      ctx.beginPath();
+      ctx.moveTo(lm[a].x * w, lm[a].y * h);
+      ctx.lineTo(lm[b].x * w, lm[b].y * h);
+      ctx.stroke();
+    }
+
+    lm.forEach((p, i) => {
+      ctx.beginPath();
+      ctx.arc(p.x * w, p.y * h, HandOverlay.KNUCKLES.includes(i) ? this.radius + 1 : this.radius, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    if (this.glowTips) {
+      ctx.shadowColor = color;
+      ctx.shadowBlur = 8;
+      HandOverlay.TIPS.forEach(i => {
+        ctx.beginPath();
+        ctx.arc(lm[i].x * w, lm[i].y * h, this.radius + 2, 0, Math.PI * 2);
+        ctx.fill();
+      });
+      ctx.shadowBlur = 0;
+    }
+  }
+
+  _drawAnnotations(entry) {
+    const ctx = this.ctx;
+    const w = this.canvas.width, h = this.canvas.height;
+    const lm = entry.landmarks;
+    const font = Math.max(11, Math.round(h / 50));
+
+    if (this.showIndices) {
+      ctx.font = `${Math.round(font * 0.8)}px ui-monospace, Menlo, Consolas, monospace`;
+      ctx.fillStyle = '#fff';
+      lm.forEach((p, i) => this._text(String(i), p.x * w + 5, p.y * h - 5));
+    }
+
+    // Thumb ↔ index gap used by the pinch detector
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = 'rgba(255, 200, 50, 0.9)';
+    ctx.beginPath();
+    ctx.moveTo(lm[4].x * w, lm[4].y * h);
+    ctx.lineTo(lm[8].x * w, lm[8].y * h);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Filtered cursor next to the raw fingertip
+    if (entry.filtered) {
+      ctx.strokeStyle = '#ff3bd4';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(entry.filtered.x * w, entry.filtered.y * h, 8, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.lineWidth = this.lineWidth;
+    }
+
+    // Text block below the wrist
+    const lines = [entry.label, ...(entry.lines || [])].filter(Boolean);
+    ctx.font = `bold ${font}px ui-monospace, Menlo, Consolas, monospace`;
+    lines.forEach((line, i) => {
+      const x = lm[0].x * w, y = lm[0].y * h + font * (1.6 + i * 1.3);
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      this._text(line, x, y, true);
+      ctx.fillStyle = i === 0 ? (entry.color || this.color) : '#fff';
+      this._text(line, x, y);
+    });
+  }
+
+  // Text reads correctly even when the canvas is mirrored by CSS
+  _text(text, x, y, shadow = false) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.translate(x, y);
+    if (this.mirrored) ctx.scale(-1, 1);
+    if (shadow) ctx.fillText(text, 1, 1);
+    else ctx.fillText(text, 0, 0);
+    ctx.restore();
+  }
+
+  destroy() {
+    if (this._unsubscribe) this._unsubscribe();
+    if (this._unsubscribeMirror) this._unsubscribeMirror();
+    if (this.toggleKey) window.removeEventListener('keydown', this._onKey);
+    if (this.video) {
+      this.video.removeEventListener('loadeddata', this._onVideoSize);
+      this.video.removeEventListener('resize', this._onVideoSize);
+    }
+    this.canvas.style.opacity = this._opacity;
+    this.clear();
+  }
+}
+
+HandOverlay.CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4],       // Thumb
+  [0, 5], [5, 6], [6, 7], [7, 8],       // Index
+  [0, 9], [9, 10], [10, 11], [11, 12],  // Middle
+  [0, 13], [13, 14], [14, 15], [15, 16],// Ring
+  [0, 17], [17, 18], [18, 19], [19, 20],// Pinky
+  [5, 9], [9, 13], [13, 17]             // Palm
+];
+HandOverlay.KNUCKLES = [0, 5, 9, 13, 17];
+HandOverlay.TIPS = [4, 8, 12, 16, 20];
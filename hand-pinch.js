@@ -0,0 +1,70 @@
+/* ═══════════════════════════════════════════════════════════
+   🤏 HAND PINCH — Analog thumb–index pinch with hysteresis
+   One threshold set for HandCursor and games with their own
+   detector.
+   Load before hand-tracker.js
+   ═══════════════════════════════════════════════════════════ */
+
+// ═══════════════════════════════════════
+//  PINCH
+//  Analog thumb–index pinch, 0 = apart
+//  (gap ≥ OPEN_RATIO hand sizes) → 1 =
+//  touching (≤ CLOSED_RATIO). Hand size =
+//  wrist → middle MCP, so it reads the same
+//  near and far. press > release gives the
+//  on/off pinch its hysteresis.
+// ═══════════════════════════════════════
+class HandPinch {
+  constructor(options = {}) {
+    this.press = options.press || HandPinch.PRESS;
+    this.release = options.release || HandPinch.RELEASE;
+    this.smoothing = options.smoothing !== undefined ? options.smoothing : HandPinch.SMOOTHING;
+    this.amount = 0;
+    this.pressed = false;
+  }
+
+  // One hand's landmarks per frame; returns true when pressed flips
+  update(landmarks) {
+    this.amount = HandPinch.smooth(this.amount, HandPinch.amount(landmarks), this.smoothing);
+    const pressed = this.pressed ? this.amount >= this.release : this.amount >= this.press;
+    const changed = pressed !== this.pressed;
+    this.pressed = pressed;
+    return changed;
+  }
+
+  reset() {
+    this.amount = 0;
+    this.pressed = false;
+  }
+
+  // Previous amount weighted by smoothing (the weight of the old value)
+  static smooth(previous, amount, smoothing = HandPinch.SMOOTHING) {
+    return previous * smoothing + amount * (1 - smoothing);
+  }
+
+  // Hand size: wrist → middle-finger MCP
+  static scale(landmarks) {
+    return Math.max(1e-3, Math.hypot(landmarks[9].x - landmarks[0].x, landmarks[9].y - landmarks[0].y));
+  }
+
+  static amount(landmarks, scale = HandPinch.scale(landmarks)) {
+    const gap = Math.hypot(landmarks[4].x - landmarks[8].x, landmarks[4].y - landmarks[8].y) / scale;
+    return HandPinch.fromRatio(gap);
+  }
+
+  // Thumb–index gap in hand sizes ↔ amount
+  static fromRatio(ratio) {
+    const t = (HandPinch.OPEN_RATIO - ratio) / (HandPinch.OPEN_RATIO - HandPinch.CLOSED_RATIO);
+    return Math.min(1, Math.max(0, t));
+  }
+
+  static toRatio(amount) {
+    return HandPinch.OPEN_RATIO - amount * (HandPinch.OPEN_RATIO - HandPinch.CLOSED_RATIO);
+  }
+}
+
+HandPinch.OPEN_RATIO = 1.2;
+HandPinch.CLOSED_RATIO = 0.2;
+HandPinch.PRESS = 0.75;       // shared with HandCursor's PINCH_PRESS / PINCH_RELEASE
+HandPinch.RELEASE = 0.65;
+HandPinch.SMOOTHING = 0.5;    // weight of the previous amount
@@ -0,0 +1,85 @@
+/* ═══════════════════════════════════════════════════════════
+   🪞 HAND PREFERENCE — Dominant hand + camera mirroring
+   Saved once in the hub; read by HandCursor, HandOverlay and
+   games that run their own detector.
+   Load before hand-tracker.js
+   ═══════════════════════════════════════════════════════════ */
+
+// ═══════════════════════════════════════
+//  HANDEDNESS
+//  { dominant, mirror } shared by every game.
+//  dominant: 'left' / 'right' drives the
+//  single cursor; null = first hand up.
+//  mirror: camera faces the player (webcam
+//  on the screen) — flip x. false for rear
+//  cameras / external displays where the
+//  image already matches the player's view.
+//  ?handMirror=0 and ?dominantHand=left
+//  override for one visit. onChange() follows
+//  saves made here or in another window —
+//  the hub around a game iframe.
+// ═══════════════════════════════════════
+class HandPreference {
+  static load() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(HandPreference.STORAGE_KEY)) || {};
+    } catch (e) { /* corrupt entry — defaults */ }
+
+    const prefs = Object.assign({}, HandPreference.DEFAULTS, saved);
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('handMirror')) prefs.mirror = !['0', 'false', 'off'].includes(params.get('handMirror'));
+    if (params.has('dominantHand')) prefs.dominant = HandPreference.HANDS.includes(params.get('dominantHand')) ? params.get('dominantHand') : null;
+    return prefs;
+  }
+
+  // Merges into the saved preference; returns the result
+  static save(changes) {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(HandPreference.STORAGE_KEY)) || {};
+    } catch (e) { /* overwrite */ }
+    const prefs = Object.assign({}, HandPreference.DEFAULTS, saved, changes);
+    localStorage.setItem(HandPreference.STORAGE_KEY, JSON.stringify(prefs));
+    window.dispatchEvent(new Event(HandPreference.CHANGE_EVENT));   // 'storage' only reaches other windows
+    return prefs;
+  }
+
+  // callback(load()) after every save; returns an unsubscribe function
+  static onChange(callback) {
+    const onStorage = (e) => {
+      if (e.key === HandPreference.STORAGE_KEY || e.key === null) callback(HandPreference.load());
+    };
+    const onSave = () => callback(HandPreference.load());
+    window.addEventListener('storage', onStorage);
+    window.addEventListener(HandPreference.CHANGE_EVENT, onSave);
+    return () => {
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener(HandPreference.CHANGE_EVENT, onSave);
+    };
+  }
+
+  // Image x (0..1) → player-view x
+  static viewX(x, mirror) {
+    return mirror ? 1 - x : x;
+  }
+
+  // MediaPipe labels assume a flipped (selfie) image: on a mirrored webcam feed
+  // "Left" is the player's right hand; on a non-mirrored setup the label is literal
+  static handFromLabel(label, mirror) {
+    if (label !== 'Left' && label !== 'Right') return null;
+    return (label === 'Left') === mirror ? 'right' : 'left';
+  }
+
+  // Preview videos / canvases are flipped with CSS scaleX(-1) — undo that when not mirroring
+  static applyPreview(elements, mirror) {
+    elements.filter(Boolean).forEach(el => {
+      el.style.transform = mirror ? '' : 'none';
+    });
+  }
+}
+
+HandPreference.STORAGE_KEY = 'hand-preference';
+HandPreference.DEFAULTS = { dominant: null, mirror: true };
+HandPreference.HANDS = ['left', 'right'];
+HandPreference.CHANGE_EVENT = 'handpreferencechange';
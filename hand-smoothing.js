@@ -0,0 +1,150 @@
+/* ═══════════════════════════════════════════════════════════
+   〰️ HAND SMOOTHING — One-Euro filter + named presets
+   Per-page tuning from smoothing-panel.js and auto-tune are
+   stored here, so HandCursor and games with their own detector
+   filter the same way.
+   Load before hand-tracker.js
+   ═══════════════════════════════════════════════════════════ */
+
+// ═══════════════════════════════════════
+//  ONE-EURO FILTER
+//  Adaptive smoothing: smooth when slow,
+//  responsive when fast. Zero perceived lag.
+// ═══════════════════════════════════════
+class OneEuroFilter {
+  constructor(freq = 60, minCutoff = 1.0, beta = 0.007, dCutoff = 1.0) {
+    this.freq = freq;
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.xPrev = null;
+    this.dxPrev = 0;
+    this.tPrev = null;
+  }
+  _smoothingFactor(cutoff, dt) {
+    const r = 2 * Math.PI * cutoff * dt;
+    return r / (r + 1);
+  }
+  filter(x, t) {
+    if (this.tPrev === null) {
+      this.xPrev = x;
+      this.tPrev = t;
+      this.dxPrev = 0;
+      return x;
+    }
+    const dt = Math.max(1e-6, t - this.tPrev);
+    this.freq = 1.0 / dt;
+    const dx = (x - this.xPrev) / dt;
+    const aDx = this._smoothingFactor(this.dCutoff, dt);
+    const dxSmooth = aDx * dx + (1 - aDx) * this.dxPrev;
+    const cutoff = this.minCutoff + this.beta * Math.abs(dxSmooth);
+    const a = this._smoothingFactor(cutoff, dt);
+    const xSmooth = a * x + (1 - a) * this.xPrev;
+    this.xPrev = xSmooth;
+    this.dxPrev = dxSmooth;
+    this.tPrev = t;
+    return xSmooth;
+  }
+  reset() {
+    this.xPrev = null;
+    this.dxPrev = 0;
+    this.tPrev = null;
+  }
+}
+
+// ═══════════════════════════════════════
+//  SMOOTHING
+//  One-Euro parameters by name:
+//  precise (steady aim, some lag),
+//  balanced (default), responsive (fast
+//  swipes). Params are in screen units
+//  (0..1) per second. Tuned values are
+//  saved per page and beat the preset the
+//  game asked for.
+// ═══════════════════════════════════════
+class HandSmoothing {
+  // spec: preset name or { minCutoff, beta, dCutoff } → full params
+  static resolve(spec = 'balanced') {
+    if (typeof spec === 'string') {
+      const preset = HandSmoothing.PRESETS[spec];
+      if (!preset) throw new Error(`Unknown smoothing preset "${spec}"`);
+      return Object.assign({ preset: spec }, preset);
+    }
+    return Object.assign({ preset: null }, HandSmoothing.PRESETS.balanced, spec);
+  }
+
+  // What a page should run with: saved tuning if any, otherwise the requested preset
+  static forPage(spec = 'balanced', key = window.location.pathname) {
+    const saved = HandSmoothing.load(key);
+    return saved ? HandSmoothing.resolve(saved) : HandSmoothing.resolve(spec);
+  }
+
+  static load(key = window.location.pathname) {
+    try {
+      const all = JSON.parse(localStorage.getItem(HandSmoothing.STORAGE_KEY)) || {};
+      const saved = all[key];
+      return saved && typeof saved.minCutoff === 'number' && typeof saved.beta === 'number' ? saved : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // params: { preset?, minCutoff, beta, dCutoff }; null forgets the page's tuning
+  static save(key, params) {
+    let all = {};
+    try {
+      all = JSON.parse(localStorage.getItem(HandSmoothing.STORAGE_KEY)) || {};
+    } catch (e) { /* overwrite */ }
+    if (params) {
+      const { preset, minCutoff, beta, dCutoff } = HandSmoothing.resolve(params);
+      all[key] = { preset, minCutoff, beta, dCutoff };
+    } else {
+      delete all[key];
+    }
+    localStorage.setItem(HandSmoothing.STORAGE_KEY, JSON.stringify(all));
+  }
+
+  static createFilter(params = HandSmoothing.PRESETS.balanced) {
+    return new OneEuroFilter(60, params.minCutoff, params.beta, params.dCutoff);
+  }
+
+  // Retune a running filter in place — no reset, so the cursor doesn't jump
+  static apply(filter, params) {
+    filter.minCutoff = params.minCutoff;
+    filter.beta = params.beta;
+    filter.dCutoff = params.dCutoff;
+  }
+
+  // Auto-tune: noise = per-axis std dev of a still hand (screen units), rate = frames / second.
+  // minCutoff brings the still-hand jitter down to TUNE.targetJitter (first-order low-pass
+  // on white noise keeps a/(2-a) of the variance); beta opens the filter to
+  // TUNE.movingCutoff at TUNE.movingSpeed so real movement isn't dragged.
+  static fromNoise(noise, rate) {
+    const tune = HandSmoothing.TUNE;
+    const k = Math.min(1, (tune.targetJitter / Math.max(noise, 1e-6)) ** 2);
+    const a = 2 * k / (1 + k);
+    const cutoff = a >= 1 ? tune.maxCutoff : (a / (1 - a)) * rate / (2 * Math.PI);
+    const minCutoff = Math.min(tune.maxCutoff, Math.max(tune.minCutoff, cutoff));
+    const beta = Math.max(0, (tune.movingCutoff - minCutoff) / tune.movingSpeed);
+    return { preset: null, minCutoff, beta, dCutoff: 1.0 };
+  }
+}
+
+HandSmoothing.STORAGE_KEY = 'hand-smoothing';
+// minCutoff sets the resting smoothing and steps ~2× per preset; beta (cutoff
+// added per screen / second of speed) steps ~3× with it
+HandSmoothing.PRESETS = {
+  precise: { minCutoff: 0.5, beta: 0.002, dCutoff: 1.0 },
+  balanced: { minCutoff: 1.2, beta: 0.005, dCutoff: 1.0 },
+  responsive: { minCutoff: 2.5, beta: 0.015, dCutoff: 1.0 }
+};
+// Auto-tune targets. Presets are fixed starting points; fromNoise() instead
+// solves beta for this camera (movingCutoff at movingSpeed), so tuned values
+// can sit well above the presets' beta — check them in the F4 panel
+HandSmoothing.TUNE = {
+  targetJitter: 0.0012,    // screen units — about 1 px on a 1080p screen
+  minCutoff: 0.3,          // Hz
+  maxCutoff: 4.0,
+  movingCutoff: 5.0,       // Hz reached at movingSpeed
+  movingSpeed: 1.5         // screens / second
+};
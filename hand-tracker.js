@@ -1,95 +1,169 @@
 /* ═══════════════════════════════════════════════════════════
    🖐️ HAND TRACKER — Shared Hand Tracking Module
    Provides finger cursor + pinch-to-select for all games
-   VERSION: Tasks-Vision (Latest, Synchronous, Zero-Lag)
-   + One-Euro Filter for buttery smooth tracking
+   VERSION: Tasks-Vision (pinned in hand-detector.js, Synchronous, Zero-Lag)
+   + One-Euro Filter for buttery smooth tracking (HandSmoothing presets,
+     live tuning, auto-tune — see smoothing-panel.js)
    + Palm gesture detection + onPalmOpen callback
+   + Landmark recording & replay (camera-free debugging / CI)
+   + Gesture registry with hysteresis + hold time (gesturestart/end)
+   + Stable left/right hand identity, full tracking for both hands
+   + Scale-invariant gesture thresholds (relative to hand size)
+   + Per-user interaction-zone calibration (shared via localStorage)
+   + Grace period on dropouts: cursor coasts, gestures survive
+   + Optional Web Worker detection (hand-detector.js), main thread fallback
+   + Camera device / resolution / frame rate selection (HandCamera)
+   + Multi-subscriber events: on / off / once (option callbacks still work)
+   + Motion gestures from the fingertip trail: swipes, flicks, circles
+   + Metric worldLandmarks + camera-distance estimate per hand (HandDepth)
+   + Tracking quality metrics, quality event, diagnostics overlay
+   + Two-hand spread / twist / pan signal and claps (TwoHandGestures)
+   + Dominant hand + mirror / non-mirror camera preference (HandPreference)
+   + Analog 0..1 pinch amount per hand with press / release thresholds (HandPinch)
+   + Extended-finger count 0..5 per hand, debounced fingercount event
+   + Trained poses from trainer.html as registry gestures (gesture-classifier.js)
+   + Shared camera + detector inside the hub shell (HandShell), pause / resume
+   Load after hand-detector.js, hand-preference.js, hand-smoothing.js,
+   hand-depth.js, hand-pinch.js, two-hand-gestures.js, tracking-quality.js
    ═══════════════════════════════════════════════════════════ */
 
-// ═══════════════════════════════════════
-//  ONE-EURO FILTER
-//  Adaptive smoothing: smooth when slow,
-//  responsive when fast. Zero perceived lag.
-// ═══════════════════════════════════════
-class OneEuroFilter {
-  constructor(freq = 60, minCutoff = 1.0, beta = 0.007, dCutoff = 1.0) {
-    this.freq = freq;
-    this.minCutoff = minCutoff;
-    this.beta = beta;
-    this.dCutoff = dCutoff;
-    this.xPrev = null;
-    this.dxPrev = 0;
-    this.tPrev = null;
-  }
-  _smoothingFactor(cutoff, dt) {
-    const r = 2 * Math.PI * cutoff * dt;
-    return r / (r + 1);
-  }
-  filter(x, t) {
-    if (this.tPrev === null) {
-      this.xPrev = x;
-      this.tPrev = t;
-      this.dxPrev = 0;
-      return x;
-    }
-    const dt = Math.max(1e-6, t - this.tPrev);
-    this.freq = 1.0 / dt;
-    const dx = (x - this.xPrev) / dt;
-    const aDx = this._smoothingFactor(this.dCutoff, dt);
-    const dxSmooth = aDx * dx + (1 - aDx) * this.dxPrev;
-    const cutoff = this.minCutoff + this.beta * Math.abs(dxSmooth);
-    const a = this._smoothingFactor(cutoff, dt);
-    const xSmooth = a * x + (1 - a) * this.xPrev;
-    this.xPrev = xSmooth;
-    this.dxPrev = dxSmooth;
-    this.tPrev = t;
-    return xSmooth;
-  }
-  reset() {
-    this.xPrev = null;
-    this.dxPrev = 0;
-    this.tPrev = null;
-  }
-}
-
 class HandCursor {
   constructor(options = {}) {
     this.video = null;
     this.handLandmarker = null;
+    this.detector = null;         // WorkerHandDetector when running off the main thread
+    this.workerFallback = null;   // why the worker was asked for but isn't running
+    this.useWorker = options.useWorker !== undefined
+      ? options.useWorker
+      : new URLSearchParams(window.location.search).has('handWorker');
     this.ready = false;
     this.lastVideoTime = -1;
+    this.cameraDefaults = options.camera || {};   // { width, height, frameRate } — a saved pick wins
+    // Horizontal FOV in degrees for distance estimates (HandDepth.DEFAULT_FOV when unset)
+    this.cameraFov = options.cameraFov || Number(new URLSearchParams(window.location.search).get('cameraFov')) || null;
 
-    // One-Euro Filters for primary hand
-    this.filters = {
-      x: new OneEuroFilter(60, 1.2, 0.005),
-      y: new OneEuroFilter(60, 1.2, 0.005)
+    // Hub shell — camera + detector shared with the hub (and its other games) when hosted
+    this.shell = options.shell !== undefined ? options.shell : HandShell.find();
+    this._unsubscribeShell = null;
+    this.paused = false;          // detector output ignored (see pause / resume)
+
+    // One-Euro smoothing — preset name or params; saved tuning for this page wins
+    this.smoothingKey = options.smoothingKey || window.location.pathname;
+    this.smoothingPreset = options.smoothing || 'balanced';
+    this.smoothing = HandSmoothing.forPage(this.smoothingPreset, this.smoothingKey);
+    this._smoothingRun = null;
+
+    // Per-hand state, keyed by the player's real hand (not detection order)
+    this.hands = {
+      left: this._createHandState('left'),
+      right: this._createHandState('right')
     };
+    this.primaryHand = null;      // id of the hand driving `cursor`
+
+    // Handedness preference — shared via HandPreference, options win
+    const prefs = HandPreference.load();
+    this.dominantHand = options.dominantHand !== undefined ? options.dominantHand : prefs.dominant;
+    this.mirror = options.mirror !== undefined ? options.mirror : prefs.mirror;
+    // Follow saves from the hub or another window; options stay fixed
+    this._savingPreference = false;
+    this._unsubscribePreference = HandPreference.onChange(saved => {
+      if (this._savingPreference) return;
+      this._applyHandPreference({
+        dominant: options.dominantHand !== undefined ? this.dominantHand : saved.dominant,
+        mirror: options.mirror !== undefined ? this.mirror : saved.mirror
+      });
+    });
+    this.HAND_MEMORY_MS = 400;    // how long a lost hand's position still guides identity
+
+    // Dropout grace — a hand only counts as lost after this many missed frames;
+    // until then it coasts on its last velocity and keeps its gesture state
+    this.LOST_AFTER_FRAMES = options.lostAfterFrames !== undefined ? options.lostAfterFrames : 4;
+    this.COAST_DAMPING = 0.85;    // velocity kept per coasted frame
 
-    // Cursor state
+    // Cursor state (mirror of the primary hand, kept for existing games)
     this.cursor = {
       x: 0.5, y: 0.5,
       screenX: window.innerWidth / 2,
       screenY: window.innerHeight / 2,
       visible: false,
       pinching: false,
+      pinchAmount: 0,
       pointing: false,
       fistClosed: false,
-      palmOpen: false
+      palmOpen: false,
+      distance: null
     };
 
-    // Second hand
+    // Second hand (mirror of the non-primary hand)
     this.secondHand = {
+      id: null,
       x: 0.5, y: 0.5,
+      screenX: 0, screenY: 0,
       visible: false,
-      pinching: false
+      pinching: false,
+      pinchAmount: 0,
+      pointing: false,
+      fistClosed: false,
+      palmOpen: false,
+      distance: null
     };
 
-    // Pinch detection
-    this.PINCH_THRESHOLD = options.pinchThreshold || 0.08;
-    this.pinchStartTime = 0;
+    // Gesture thresholds — all relative to hand scale (wrist → middle MCP),
+    // so they behave the same near and far from the camera
+    // Pinch is analog (hand.pinchAmount, 0 = apart → 1 = touching, see HandPinch);
+    // the on/off pinch starts at PINCH_PRESS and ends below PINCH_RELEASE
+    this.PINCH_PRESS = options.pinchPress
+      || (options.pinchRatio ? HandPinch.fromRatio(options.pinchRatio) : HandPinch.PRESS);
+    this.PINCH_RELEASE = options.pinchRelease
+      || (options.pinchReleaseRatio ? HandPinch.fromRatio(options.pinchReleaseRatio) : HandPinch.RELEASE);
+    this.PINCH_RATIO = HandPinch.toRatio(this.PINCH_PRESS);            // same thresholds as thumb–index gaps
+    this.PINCH_RELEASE_RATIO = HandPinch.toRatio(this.PINCH_RELEASE);
     this.PINCH_HOLD_MS = 60;
+    this.PALM_SPREAD_RATIO = 0.35;                       // thumb tip ↔ index MCP for open palm
+    this.FIST_CURL_RATIO = 0.85;                         // tip-to-wrist vs pip-to-wrist for a curled finger
+    this.FINGER_EXTEND_RATIO = 1.15;                     // tip-to-wrist vs pip-to-wrist for a raised finger
+    this.THUMB_OUT_RATIO = 0.3;                          // thumb tip beyond the index knuckle, sideways
+    this.COUNT_HOLD_MS = options.countHoldMs || 500;     // finger count must hold this long for 'fingercount'
 
-    // Callbacks
+    // Motion gesture thresholds — distances in screen heights, speeds in screen heights / second
+    this.MOTION = Object.assign({
+      moveSpeed: 0.6,          // a stroke starts above this speed...
+      stopSpeed: 0.25,         // ...and ends when the fingertip slows below this
+      straightness: 0.8,       // net distance / path length for swipes and flicks
+      swipeMinDistance: 0.25,
+      swipeMinSpeed: 1.0,
+      swipeMaxMs: 700,
+      flickMinDistance: 0.08,
+      flickMaxMs: 180,
+      circleTurns: 0.85,       // fraction of a full turn the path must sweep
+      maxStrokeMs: 1500
+    }, options.motion);
+
+    // Both hands together — twohandstart / twohandmove / twohandend, clap
+    this.twoHands = new TwoHandGestures(Object.assign({ mirror: this.mirror }, options.twoHand));
+
+    // Gesture registry — name → spec (per-hand state lives on each hand)
+    this.gestures = new Map();
+    this._registerBuiltinGestures();
+    Object.entries(options.gestures || {}).forEach(([name, spec]) => this.registerGesture(name, spec));
+
+    // Tracking quality — rated every QUALITY_INTERVAL_MS, 'quality' event on change
+    this.quality = new TrackingQuality(options.qualityThresholds);
+    this._qualityCheckedAt = 0;
+
+    // Diagnostics overlay — option, ?handDiagnostics, or the toggle key
+    this.diagnosticsEl = null;
+    this.diagnosticsKey = options.diagnosticsKey !== undefined ? options.diagnosticsKey : 'F2';
+    this._onDiagnosticsKey = (e) => {
+      if (e.code === this.diagnosticsKey) this.toggleDiagnostics();
+    };
+    if (this.diagnosticsKey) window.addEventListener('keydown', this._onDiagnosticsKey);
+
+    // Event listeners — type → Set of fns (see on/off/once)
+    this._listeners = new Map();
+    this._frameTime = 0;
+
+    // Callbacks (single-function sugar over the event API)
     this.onReady = options.onReady || null;
     this.onError = options.onError || null;
     this.onPinch = options.onPinch || null;
@@ -97,11 +171,70 @@ class HandCursor {
     this.onMove = options.onMove || null;
     this.onResults = options.onResults || null;
     this.onPalmOpen = options.onPalmOpen || null;
+    this.onReplayEnd = options.onReplayEnd || null;
+    this.onGestureStart = options.onGestureStart || null;
+    this.onGestureEnd = options.onGestureEnd || null;
+    this.onHandFound = options.onHandFound || null;
+    this.onHandLost = options.onHandLost || null;
+    this.onHandMove = options.onHandMove || null;
+    this.onHandPinch = options.onHandPinch || null;
+    this.onHandRelease = options.onHandRelease || null;
+    this.onCameraChange = options.onCameraChange || null;
+
+    // Interaction zone — comfortable reach rectangle in camera space, mapped to the full screen
+    this.calibration = options.calibration !== undefined ? options.calibration : HandCursor.loadCalibration();
+    this._calibrationRun = null;
+
+    // Recording / replay — replay source can also come from ?handReplay=<url>
+    this.recording = null;
+    this.replay = null;
+    this.replaySource = options.replay || new URLSearchParams(window.location.search).get('handReplay');
 
     // Cursor DOM element
     this.cursorEl = null;
     this.rippleContainer = null;
     this._createCursorElement(options.cursorParent || document.body);
+
+    if (options.diagnostics || new URLSearchParams(window.location.search).has('handDiagnostics')) {
+      this.showDiagnostics();
+    }
+  }
+
+  _createHandState(id) {
+    return {
+      id,
+      x: 0.5, y: 0.5,
+      screenX: window.innerWidth / 2,
+      screenY: window.innerHeight / 2,
+      visible: false,
+      pinching: false,
+      pinchAmount: 0,      // analog pinch, 0 = apart → 1 = touching, smoothed
+      fingers: [false, false, false, false, false],   // extended: thumb, index, middle, ring, pinky
+      fingerCount: 0,      // this frame's count, 0..5
+      count: { value: null, since: 0, held: null },   // debounce for 'fingercount'
+      pointing: false,
+      fistClosed: false,
+      palmOpen: false,
+      landmarks: null,
+      worldLandmarks: null, // same 21 points in metres, origin at the hand's centre
+      distance: null,       // estimated camera → hand distance in metres, smoothed
+      handednessScore: 0,
+      scale: 0,            // wrist → middle MCP, smoothed; unit for gesture thresholds
+      rawX: 0.5, rawY: 0.5, // mirrored index tip before calibration + filtering
+      anchor: null,        // mirrored wrist position, used for identity matching
+      lastSeen: 0,
+      lastUpdate: 0,       // last detected or coasted frame
+      vx: 0, vy: 0,        // filtered velocity in screen units per second, used for coasting
+      missedFrames: 0,
+      coasting: false,
+      filters: {
+        x: HandSmoothing.createFilter(this.smoothing),
+        y: HandSmoothing.createFilter(this.smoothing),
+        distance: HandDepth.createFilter()
+      },
+      gestures: new Map(),
+      motion: { last: null, stroke: null }   // fingertip trail for swipes / flicks / circles
+    };
   }
 
   /* ─── Static helper for module loading ───────── */
@@ -139,8 +272,25 @@ class HandCursor {
     parent.appendChild(this.rippleContainer);
   }
 
+  /* ─── Load a recording from URL ─────────────── */
+  static async loadRecording(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Recording fetch failed (${res.status}): ${url}`);
+    return HandCursor.validateRecording(await res.json());
+  }
+
+  static validateRecording(recording) {
+    if (!recording || recording.format !== HandCursor.RECORDING_FORMAT || !Array.isArray(recording.frames)) {
+      throw new Error('Not a HandCursor recording (expected format "' + HandCursor.RECORDING_FORMAT + '")');
+    }
+    return recording;
+  }
+
   /* ─── Initialize Camera + MediaPipe ─────────── */
   async init() {
+    if (this.replaySource) return this._initReplay(this.replaySource);
+    if (this.shell) return this._initShell(this.shell);
+
     try {
       this.video = document.createElement('video');
       this.video.setAttribute('autoplay', '');
@@ -149,32 +299,26 @@ class HandCursor {
       this.video.style.display = 'none';
       document.body.appendChild(this.video);
 
-      await HandCursor.waitForMediaPipe();
-
-      const vision = await window.FilesetResolver.forVisionTasks(
-        'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-      );
-
-      this.handLandmarker = await window.HandLandmarker.createFromOptions(vision, {
-        baseOptions: {
-          modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-          delegate: "GPU"
-        },
-        runningMode: "VIDEO",
+      const landmarkerOptions = {
         numHands: 2,
         minHandDetectionConfidence: 0.45,
         minHandPresenceConfidence: 0.45,
         minTrackingConfidence: 0.35
-      });
+      };
 
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { width: 1280, height: 720, facingMode: 'user', frameRate: { ideal: 60 } }
-      });
+      if (this.useWorker) await this._initWorker(landmarkerOptions);
+
+      if (!this.detector) {
+        await HandCursor.waitForMediaPipe();
+        this.handLandmarker = await HandTrackerAssets.createLandmarker(landmarkerOptions);
+      }
+
+      const stream = await HandCamera.open(this.cameraDefaults);
       this.video.srcObject = stream;
 
       this.video.onloadeddata = () => {
         this.ready = true;
-        if (this.onReady) this.onReady();
+        this._emit('ready', { detector: this.getDetectorStatus() });
         // Delay tracking start to allow camera to stabilize (warm-up)
         setTimeout(() => {
           this._loop();
@@ -183,129 +327,1203 @@ class HandCursor {
 
     } catch (err) {
       console.error('HandCursor init error:', err);
-      if (this.onError) this.onError(err);
+      this._emit('error', { error: err });
+    }
+  }
+
+  /* ─── Worker detector (falls back to main thread) ── */
+  async _initWorker(landmarkerOptions) {
+    if (typeof WorkerHandDetector === 'undefined' || !WorkerHandDetector.isSupported()) {
+      this.workerFallback = 'workers unavailable';
+      console.warn('HandCursor: worker detection unavailable, using main thread');
+      return;
+    }
+    const detector = new WorkerHandDetector({
+      landmarkerOptions,
+      onResults: (result, timestamp) => {
+        if (!this.replay && this.ready) this._handleDetection(result, timestamp);
+      },
+      onError: (err) => console.warn('HandCursor worker detection error:', err)
+    });
+    try {
+      await detector.init();
+      this.detector = detector;
+    } catch (err) {
+      this.workerFallback = err.message;
+      console.warn('HandCursor: worker detector failed, using main thread —', err.message);
+    }
+  }
+
+  /* ─── Shell init (shared camera + model) ────── */
+  // The shell has already warmed up — ready as soon as it is
+  async _initShell(shell) {
+    try {
+      await shell.start();
+      this.video = shell.video;
+      this._unsubscribeShell = shell.subscribe({
+        win: window,
+        onResults: (result, timestamp) => {
+          if (!this.replay && this.ready) this._handleDetection(result, timestamp);
+        },
+        onCameraChange: (stream) => {
+          this._resetFilters();
+          this._emit('camerachange', { stream });
+        }
+      });
+      this.ready = true;
+      this._emit('ready', { detector: this.getDetectorStatus() });
+      this._loop();
+    } catch (err) {
+      console.error('HandCursor shell init error:', err);
+      this._emit('error', { error: err });
+    }
+  }
+
+  /* ─── Replay-only init (no camera, no model) ── */
+  async _initReplay(source) {
+    try {
+      const recording = typeof source === 'string'
+        ? await HandCursor.loadRecording(source)
+        : HandCursor.validateRecording(source);
+      this.playRecording(recording);
+      this.ready = true;
+      this._emit('ready', { detector: this.getDetectorStatus() });
+      this._loop();
+    } catch (err) {
+      console.error('HandCursor replay error:', err);
+      this._emit('error', { error: err });
     }
   }
 
   _loop() {
     if (!this.ready) return;
 
-    if (this.video.currentTime !== this.lastVideoTime) {
+    if (this.paused) {
+      // Nothing to detect — the camera keeps running for whoever else uses it
+    } else if (this.replay) {
+      this._replayStep(performance.now());
+    } else if (this.detector && this.video.currentTime !== this.lastVideoTime) {
+      // Async: results arrive via _handleDetection; busy frames are skipped
+      if (this.detector.detect(this.video, performance.now())) this.lastVideoTime = this.video.currentTime;
+    } else if (this.handLandmarker && this.video.currentTime !== this.lastVideoTime) {
       this.lastVideoTime = this.video.currentTime;
-      const results = this.handLandmarker.detectForVideo(this.video, performance.now());
-      this._onResults({
-        multiHandLandmarks: results.landmarks,
-        multiHandedness: results.handedness
-      });
+      const now = performance.now();
+      this._handleDetection(this.handLandmarker.detectForVideo(this.video, now), now);
     }
 
+    this._updateQuality(performance.now());
     requestAnimationFrame(() => this._loop());
   }
 
+  /* ─── Single entry point for detector output ─ */
+  // `detection` has the HandLandmarker result shape; camera and replay both land here.
+  _handleDetection(detection, timestamp) {
+    if (this.paused) return;
+    // Replayed frames carry recorded timestamps, so latency is only known live
+    const latency = this.replay ? null : performance.now() - timestamp;
+
+    if (this.recording && !this.replay) {
+      this.recording.frames.push({
+        t: timestamp - this.recording.startTime,
+        landmarks: HandCursor._cloneLandmarks(detection.landmarks),
+        worldLandmarks: HandCursor._cloneLandmarks(detection.worldLandmarks),
+        handedness: (detection.handedness || []).map(cats =>
+          cats.map(c => ({ score: c.score, index: c.index, categoryName: c.categoryName, displayName: c.displayName })))
+      });
+    }
+
+    this._onResults({
+      multiHandLandmarks: detection.landmarks,
+      multiHandWorldLandmarks: detection.worldLandmarks,
+      multiHandedness: detection.handedness
+    }, timestamp);
+    this._sampleQuality(timestamp, latency);
+  }
+
+  static _cloneLandmarks(hands) {
+    return (hands || []).map(hand => hand.map(p => ({ x: p.x, y: p.y, z: p.z })));
+  }
+
+  /* ─── Recording ─────────────────────────────── */
+  startRecording() {
+    this.recording = { startTime: performance.now(), createdAt: new Date().toISOString(), frames: [] };
+  }
+
+  stopRecording() {
+    if (!this.recording) return null;
+    const { createdAt, frames } = this.recording;
+    this.recording = null;
+    return {
+      format: HandCursor.RECORDING_FORMAT,
+      version: 1,
+      createdAt,
+      page: window.location.pathname,
+      frames
+    };
+  }
+
+  saveRecording(recording, filename = 'hand-recording.json') {
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  /* ─── Replay ────────────────────────────────── */
+  // Frames are fed with their recorded spacing, so filters and pinch
+  // debounce see exactly the timing of the captured session.
+  playRecording(recording, { loop = false } = {}) {
+    HandCursor.validateRecording(recording);
+    const first = recording.frames.length ? recording.frames[0].t : 0;
+    this.replay = { recording, loop, index: 0, offset: performance.now() - first };
+  }
+
+  stopReplay() {
+    if (!this.replay) return;
+    this.replay = null;
+    this._handleDetection({ landmarks: [], handedness: [] }, performance.now());
+  }
+
+  _replayStep(now) {
+    const replay = this.replay;
+    const frames = replay.recording.frames;
+
+    while (replay.index < frames.length && frames[replay.index].t + replay.offset <= now) {
+      const frame = frames[replay.index++];
+      this._handleDetection(frame, frame.t + replay.offset);
+    }
+
+    if (replay.index >= frames.length) {
+      if (replay.loop && frames.length) {
+        replay.index = 0;
+        replay.offset = now - frames[0].t;
+      } else {
+        this.stopReplay();
+        this._emit('replayend');
+      }
+    }
+  }
+
   getStream() {
     return this.video && this.video.srcObject ? this.video.srcObject : null;
   }
 
-  /* ─── Process Results (Synchronous) ─────────── */
-  _onResults(results) {
-    if (this.onResults) this.onResults(results);
-
-    if (!results.multiHandLandmarks || results.multiHandLandmarks.length === 0) {
-      this.cursor.visible = false;
-      this.secondHand.visible = false;
-      // Reset filters when hand is lost so next detection starts fresh
-      this.filters.x.reset();
-      this.filters.y.reset();
-      this._updateCursorVisual();
-      return;
+  /* ─── Camera Selection ──────────────────────── */
+  static listCameras() {
+    return HandCamera.listCameras();
+  }
+
+  // What the camera actually delivers ({ deviceId, width, height, frameRate, ... })
+  getCameraSettings() {
+    const stream = this.getStream();
+    const track = stream && stream.getVideoTracks()[0];
+    return track ? track.getSettings() : null;
+  }
+
+  // settings: any of { deviceId, label, width, height, frameRate }; saved for every page
+  // A device that won't open rejects, emits 'error' and leaves the previous camera
+  // running (and saved) — 'camerachange' still fires for the reopened stream
+  async setCamera(settings) {
+    try {
+      // 'camerachange' comes back through the shell
+      return this.shell ? await this.shell.setCamera(settings) : await this._replaceCamera(settings);
+    } catch (error) {
+      this._emit('error', { error, camera: true });
+      throw error;
     }
+  }
 
-    const t = performance.now() / 1000; // seconds for One-Euro filter
-
-    for (let i = 0; i < results.multiHandLandmarks.length; i++) {
-      const landmarks = results.multiHandLandmarks[i];
-      const indexTip = landmarks[8];
-      const thumbTip = landmarks[4];
-      const isPointing = this._isPointing(landmarks);
-      const isPinching = this._isPinching(thumbTip, indexTip);
-      const isPalmOpen = this._isPalmOpen(landmarks);
-
-      if (i === 0) {
-        const rawX = 1 - indexTip.x;
-        const rawY = indexTip.y;
-
-        // Apply One-Euro Filter — buttery smooth!
-        this.cursor.x = this.filters.x.filter(rawX, t);
-        this.cursor.y = this.filters.y.filter(rawY, t);
-        this.cursor.screenX = this.cursor.x * window.innerWidth;
-        this.cursor.screenY = this.cursor.y * window.innerHeight;
-        this.cursor.visible = true;
-        this.cursor.pointing = isPointing;
-        this.cursor.fistClosed = this._isFistClosed(landmarks);
-        this.cursor.palmOpen = isPalmOpen;
-
-        if (isPalmOpen && this.onPalmOpen) {
-          this.onPalmOpen(this.cursor.x, this.cursor.y);
-        }
+  async _replaceCamera(settings) {
+    if (!this.video || !this.video.srcObject) {
+      HandCamera.save(Object.assign(HandCamera.load(), settings));
+      return null;
+    }
+    const { stream, error } = await HandCamera.replace(this.video, settings, this.cameraDefaults);
+    this.lastVideoTime = -1;
+    this._resetFilters();
+    if (stream) this._emit('camerachange', { stream });
+    if (error) throw error;
+    return stream;
+  }
 
-        if (isPinching && !this.cursor.pinching) {
-          if (!this.pinchStartTime) {
-            this.pinchStartTime = Date.now();
-          } else if (Date.now() - this.pinchStartTime > this.PINCH_HOLD_MS) {
-            this.cursor.pinching = true;
-            this.pinchStartTime = 0;
-            this._showPinchRipple(this.cursor.screenX, this.cursor.screenY);
-            if (this.onPinch) this.onPinch(this.cursor.x, this.cursor.y);
-          }
-        } else if (!isPinching) {
-          if (this.cursor.pinching) {
-            this.cursor.pinching = false;
-            if (this.onRelease) this.onRelease(this.cursor.x, this.cursor.y);
+  /* ─── Pause / Resume ────────────────────────── */
+  // While paused, detector output is dropped and every hand is released
+  // (handlost, gestureend, release) — e.g. the hub while a game runs on top
+  pause() {
+    if (this.paused) return;
+    Object.values(this.hands).forEach(hand => this._loseHand(hand));
+    this._updateTwoHands(performance.now());
+    this._choosePrimary();
+    this._syncCursor();
+    this._updateCursorVisual();
+    this.paused = true;
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.lastVideoTime = -1;
+  }
+
+  /* ─── Gesture Registry ──────────────────────── */
+  // spec.detect(landmarks, tracker, hand) returns a boolean or a 0..1 score;
+  // use hand.scale to keep thresholds independent of camera distance.
+  // A gesture starts once the score stays >= enter for holdMs and ends
+  // when it drops below exit (exit < enter gives hysteresis).
+  registerGesture(name, spec) {
+    if (typeof spec.detect !== 'function') {
+      throw new Error(`Gesture "${name}" needs a detect(landmarks) function`);
+    }
+    const enter = spec.enter !== undefined ? spec.enter : 0.5;
+    this.gestures.set(name, {
+      detect: spec.detect,
+      enter,
+      exit: spec.exit !== undefined ? spec.exit : enter,
+      holdMs: spec.holdMs || 0
+    });
+  }
+
+  // Poses recorded on trainer.html — needs gesture-classifier.js. Returns the names registered.
+  registerTrainedGestures(classifier = GestureClassifier.load(), names = classifier.getGestureNames(), options = {}) {
+    names.forEach(name => this.registerGesture(name, classifier.gestureSpec(name, options)));
+    return names;
+  }
+
+  unregisterGesture(name) {
+    this.gestures.delete(name);
+    Object.values(this.hands).forEach(hand => hand.gestures.delete(name));
+  }
+
+  // `hand` is 'left' / 'right'; omitted means the primary hand
+  isGestureActive(name, hand = this.primaryHand) {
+    const state = hand && this.hands[hand].gestures.get(name);
+    return !!(state && state.active);
+  }
+
+  getActiveGestures(hand = this.primaryHand) {
+    if (!hand) return [];
+    return [...this.hands[hand].gestures].filter(([, state]) => state.active).map(([name]) => name);
+  }
+
+  _registerBuiltinGestures() {
+    // Scores cross enter at the configured threshold; exit < enter gives hysteresis
+    this.registerGesture('pinch', {
+      detect: (lm, tracker, hand) => hand.pinchAmount,   // smoothed in _updateHand
+      enter: this.PINCH_PRESS,
+      exit: this.PINCH_RELEASE,
+      holdMs: this.PINCH_HOLD_MS
+    });
+    this.registerGesture('point', { detect: (lm) => this._pointScore(lm), enter: 0.5, exit: 0.35 });
+    this.registerGesture('fist', { detect: (lm) => this._fistScore(lm), enter: 0.5, exit: 0.35 });
+    this.registerGesture('palm', { detect: (lm, tracker, hand) => this._palmScore(lm, hand.scale), enter: 0.5, exit: 0.4 });
+    this.registerGesture('peace', { detect: (lm) => this._peaceScore(lm), enter: 0.5, exit: 0.35 });
+  }
+
+  _updateGestures(hand, landmarks, timestamp) {
+    const states = hand.gestures;
+
+    for (const [name, gesture] of this.gestures) {
+      let score = gesture.detect(landmarks, this, hand);
+      if (typeof score === 'boolean') score = score ? 1 : 0;
+
+      let state = states.get(name);
+      if (!state) {
+        state = { active: false, since: 0 };
+        states.set(name, state);
+      }
+
+      if (!state.active) {
+        if (score >= gesture.enter) {
+          if (!state.since) state.since = timestamp;
+          if (timestamp - state.since >= gesture.holdMs) {
+            state.active = true;
+            this._onGestureChange(hand, name, true);
           }
-          this.pinchStartTime = 0;
+        } else {
+          state.since = 0;
         }
+      } else if (score < gesture.exit) {
+        state.active = false;
+        state.since = 0;
+        this._onGestureChange(hand, name, false);
+      }
+    }
+  }
 
-        if (this.onMove) this.onMove(this.cursor.x, this.cursor.y);
-      } else {
-        this.secondHand.x = 1 - indexTip.x;
-        this.secondHand.y = indexTip.y;
-        this.secondHand.visible = true;
-        this.secondHand.pinching = isPinching;
+  // Hand left the frame — close out anything it was holding
+  _endGestures(hand) {
+    for (const [name, state] of hand.gestures) {
+      state.since = 0;
+      if (state.active) {
+        state.active = false;
+        this._onGestureChange(hand, name, false);
       }
     }
+  }
+
+  _onGestureChange(hand, name, active) {
+    if (name === 'pinch') {
+      hand.pinching = active;
+      this._emit(active ? 'handpinch' : 'handrelease', this._handEvent(hand, 'pinch'));
+    }
+
+    this._emit(active ? 'gesturestart' : 'gestureend', this._handEvent(hand, name));
+  }
+
+  /* ─── Hand Identity ─────────────────────────── */
+  // MediaPipe labels assume a mirrored image: on a webcam "Left" is the player's right hand.
+  static _readHandedness(handedness, mirror = true) {
+    const category = Array.isArray(handedness) ? handedness[0] : handedness;
+    if (!category) return { id: null, score: 0 };
+    const label = category.categoryName || category.label;
+    return { id: HandPreference.handFromLabel(label, mirror), score: category.score || 0 };
+  }
+
+  // Pick the detection → hand mapping with the lowest cost. Cost mixes distance
+  // to where each hand was last seen (continuity wins when hands cross) with
+  // disagreement against MediaPipe's handedness label.
+  _assignHands(multiHandLandmarks, multiHandedness, timestamp) {
+    const detections = multiHandLandmarks.slice(0, 2).map((landmarks, i) => {
+      const handedness = HandCursor._readHandedness(multiHandedness && multiHandedness[i], this.mirror);
+      const anchor = { x: HandPreference.viewX(landmarks[0].x, this.mirror), y: landmarks[0].y };
+      return { index: i, landmarks, label: handedness.id, score: handedness.score, anchor };
+    });
+
+    const cost = (det, id) => {
+      const hand = this.hands[id];
+      let c = det.label && det.label !== id ? det.score : 0;
+      if (hand.anchor && timestamp - hand.lastSeen < this.HAND_MEMORY_MS) {
+        c += 3 * Math.hypot(det.anchor.x - hand.anchor.x, det.anchor.y - hand.anchor.y);
+      }
+      // Tie-breaker: the hand on the left of the screen is probably the left hand
+      c += 0.1 * (id === 'left' ? det.anchor.x : 1 - det.anchor.x);
+      return c;
+    };
+
+    if (detections.length === 1) {
+      const det = detections[0];
+      return [[cost(det, 'left') <= cost(det, 'right') ? 'left' : 'right', det]];
+    }
+
+    const [a, b] = detections;
+    return cost(a, 'left') + cost(b, 'right') <= cost(a, 'right') + cost(b, 'left')
+      ? [['left', a], ['right', b]]
+      : [['right', a], ['left', b]];
+  }
+
+  _updateHand(hand, det, timestamp) {
+    const indexTip = det.landmarks[8];
+    const t = timestamp / 1000; // seconds for One-Euro filter
+    const wasVisible = hand.visible;
+
+    hand.rawX = HandPreference.viewX(indexTip.x, this.mirror);
+    hand.rawY = indexTip.y;
+    const mapped = this._mapToScreen(hand.rawX, hand.rawY);
+
+    // Apply One-Euro Filter — buttery smooth!
+    const prevX = hand.x, prevY = hand.y;
+    hand.x = hand.filters.x.filter(mapped.x, t);
+    hand.y = hand.filters.y.filter(mapped.y, t);
+
+    const dt = (timestamp - hand.lastUpdate) / 1000;
+    if (wasVisible && dt > 0) {
+      hand.vx = hand.vx * 0.5 + ((hand.x - prevX) / dt) * 0.5;
+      hand.vy = hand.vy * 0.5 + ((hand.y - prevY) / dt) * 0.5;
+    } else {
+      hand.vx = hand.vy = 0;
+    }
+    hand.screenX = hand.x * window.innerWidth;
+    hand.screenY = hand.y * window.innerHeight;
+    hand.visible = true;
+    hand.landmarks = det.landmarks;
+    hand.worldLandmarks = det.worldLandmarks;
+    hand.distance = det.distance;
+    const scale = HandPinch.scale(det.landmarks);
+    hand.scale = hand.scale ? hand.scale * 0.7 + scale * 0.3 : scale;
+    const pinchAmount = HandPinch.amount(det.landmarks, hand.scale);
+    hand.pinchAmount = wasVisible ? HandPinch.smooth(hand.pinchAmount, pinchAmount) : pinchAmount;
+    hand.handednessScore = det.score;
+    hand.anchor = det.anchor;
+    hand.lastSeen = timestamp;
+    hand.lastUpdate = timestamp;
+    hand.missedFrames = 0;
+    hand.coasting = false;
+
+    if (!wasVisible) this._emit('handfound', this._handEvent(hand));
+
+    this._updateGestures(hand, det.landmarks, timestamp);
+    hand.pointing = this.isGestureActive('point', hand.id);
+    hand.fistClosed = this.isGestureActive('fist', hand.id);
+    hand.palmOpen = this.isGestureActive('palm', hand.id);
+
+    this._updateFingerCount(hand, det.landmarks, timestamp);
+
+    this._emit('handmove', this._handEvent(hand));
+    this._updateMotion(hand, timestamp);
+  }
+
+  // Missed detection: drift along the last velocity and keep gestures alive,
+  // so a one-frame dropout doesn't break a pinch or reset a dwell timer
+  _coastHand(hand, timestamp) {
+    if (!hand.visible) return;
+    hand.missedFrames++;
+    if (hand.missedFrames > this.LOST_AFTER_FRAMES) {
+      this._loseHand(hand);
+      return;
+    }
+
+    const dt = Math.max(0, (timestamp - hand.lastUpdate) / 1000);
+    hand.vx *= this.COAST_DAMPING;
+    hand.vy *= this.COAST_DAMPING;
+    hand.x = Math.min(1, Math.max(0, hand.x + hand.vx * dt));
+    hand.y = Math.min(1, Math.max(0, hand.y + hand.vy * dt));
+    hand.screenX = hand.x * window.innerWidth;
+    hand.screenY = hand.y * window.innerHeight;
+    hand.lastUpdate = timestamp;
+    hand.coasting = true;
+
+    // Continue the filters from the coasted point so reacquiring doesn't snap back
+    const t = timestamp / 1000;
+    if (hand.filters.x.tPrev !== null) {
+      hand.filters.x.xPrev = hand.x;
+      hand.filters.x.tPrev = t;
+      hand.filters.y.xPrev = hand.y;
+      hand.filters.y.tPrev = t;
+    }
+
+    this._emit('handmove', this._handEvent(hand));
+  }
+
+  _loseHand(hand) {
+    if (!hand.visible) return;
+    this._endGestures(hand);
+    hand.visible = false;
+    hand.coasting = false;
+    hand.missedFrames = 0;
+    hand.vx = hand.vy = 0;
+    hand.landmarks = null;
+    hand.worldLandmarks = null;
+    hand.distance = null;
+    hand.scale = 0;
+    hand.pinchAmount = 0;
+    hand.fingers = [false, false, false, false, false];
+    hand.fingerCount = 0;
+    hand.count = { value: null, since: 0, held: null };
+    if (hand.motion.stroke) this._endStroke(hand);
+    hand.motion.last = null;
+    // Reset filters when hand is lost so next detection starts fresh
+    hand.filters.x.reset();
+    hand.filters.y.reset();
+    hand.filters.distance.reset();
+    this._emit('handlost', this._handEvent(hand));
+  }
+
+  // Primary hand sticks until it disappears, so the cursor never jumps hands —
+  // except that the dominant hand takes over when it shows up (not mid-pinch)
+  _choosePrimary() {
+    const current = this.primaryHand && this.hands[this.primaryHand];
+    const dominant = this.dominantHand && this.hands[this.dominantHand];
+    if (dominant && dominant.visible && current !== dominant && !(current && current.visible && current.pinching)) {
+      this.primaryHand = dominant.id;
+      return;
+    }
+    if (current && current.visible) return;
+    const order = this.dominantHand === 'left' ? ['left', 'right'] : ['right', 'left'];
+    const visible = order.find(id => this.hands[id].visible);
+    this.primaryHand = visible || null;
+  }
+
+  /* ─── Handedness Preference ─────────────────── */
+  // { dominant: 'left' | 'right' | null, mirror: bool } — saved for every game
+  setHandPreference(changes) {
+    this._savingPreference = true;
+    const prefs = HandPreference.save(changes);
+    this._savingPreference = false;
+    this._applyHandPreference(prefs);
+    return prefs;
+  }
+
+  // 'preferencechange' lets games re-flip previews and their own x mapping
+  _applyHandPreference(prefs) {
+    const changed = prefs.dominant !== this.dominantHand || prefs.mirror !== this.mirror;
+    this.dominantHand = prefs.dominant;
+    if (prefs.mirror !== this.mirror) {
+      // Flipping x invalidates filters, identity anchors and motion trails
+      this.mirror = prefs.mirror;
+      this.twoHands.mirror = prefs.mirror;
+      Object.values(this.hands).forEach(hand => this._loseHand(hand));
+      this._resetFilters();
+    }
+    this._choosePrimary();
+    this._syncCursor();
     this._updateCursorVisual();
+    if (changed) this._emit('preferencechange', { dominant: this.dominantHand, mirror: this.mirror });
   }
 
-  _isPinching(thumbTip, indexTip) {
-    const dist = Math.sqrt(Math.pow(thumbTip.x - indexTip.x, 2) + Math.pow(thumbTip.y - indexTip.y, 2));
-    return dist < this.PINCH_THRESHOLD;
+  getHandPreference() {
+    return { dominant: this.dominantHand, mirror: this.mirror };
   }
 
-  _isPointing(landmarks) {
-    const indexExtended = landmarks[8].y < landmarks[6].y;
-    const middleCurled = landmarks[12].y > landmarks[10].y;
-    const ringCurled = landmarks[16].y > landmarks[14].y;
-    const pinkyCurled = landmarks[20].y > landmarks[18].y;
-    return indexExtended && middleCurled && ringCurled && pinkyCurled;
+  _resetFilters() {
+    Object.values(this.hands).forEach(hand => {
+      hand.filters.x.reset();
+      hand.filters.y.reset();
+      hand.filters.distance.reset();
+    });
   }
 
-  _isFistClosed(landmarks) {
-    const tips = [8, 12, 16, 20];
-    const pips = [6, 10, 14, 18];
-    const wrist = landmarks[0];
-    let curled = 0;
-    for (let i = 0; i < tips.length; i++) {
-      const tipToWrist = Math.hypot(landmarks[tips[i]].x - wrist.x, landmarks[tips[i]].y - wrist.y);
-      const pipToWrist = Math.hypot(landmarks[pips[i]].x - wrist.x, landmarks[pips[i]].y - wrist.y);
-      if (tipToWrist < pipToWrist * 0.85) curled++;
+  // Video size + FOV for HandDepth; replays assume the default capture size
+  _cameraGeometry() {
+    const v = this.video;
+    return {
+      width: v && v.videoWidth ? v.videoWidth : undefined,
+      height: v && v.videoHeight ? v.videoHeight : undefined,
+      fov: this.cameraFov || undefined
+    };
+  }
+
+  getHand(id = this.primaryHand) {
+    return id ? this.hands[id] : null;
+  }
+
+  getVisibleHands() {
+    return Object.values(this.hands).filter(hand => hand.visible);
+  }
+
+  // 0 = fingers apart → 1 = touching; compare with PINCH_PRESS / PINCH_RELEASE
+  getPinchAmount(id = this.primaryHand) {
+    const hand = this.getHand(id);
+    return hand && hand.visible ? hand.pinchAmount : 0;
+  }
+
+  /* ─── Events ────────────────────────────────── */
+  // Payload: { type, hand, x, y, screenX, screenY, gesture, timestamp } plus
+  // handState (hand events), results, error or stream where relevant.
+  // on() returns an unsubscribe function.
+  on(type, listener) {
+    if (!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this._listeners.get(type);
+    if (listeners) listeners.delete(listener);
+    return this;
+  }
+
+  once(type, listener) {
+    const unsubscribe = this.on(type, (event) => {
+      unsubscribe();
+      listener(event);
+    });
+    return unsubscribe;
+  }
+
+  _emit(type, detail = {}) {
+    const event = Object.assign({ type, timestamp: this._frameTime || performance.now() }, detail);
+
+    const legacy = HandCursor.LEGACY_CALLBACKS[type];
+    if (legacy && this[legacy[0]]) this[legacy[0]](...legacy[1](event));
+
+    const listeners = this._listeners.get(type);
+    if (!listeners) return;
+    // Copy so listeners can unsubscribe while being called
+    [...listeners].forEach(listener => {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error(`HandCursor "${type}" listener failed:`, err);
+      }
+    });
+  }
+
+  _handEvent(hand, gesture = null) {
+    return {
+      hand: hand.id, handState: hand, gesture,
+      x: hand.x, y: hand.y, screenX: hand.screenX, screenY: hand.screenY
+    };
+  }
+
+  _cursorEvent(handId, gesture = null) {
+    const c = this.cursor;
+    return { hand: handId, gesture, x: c.x, y: c.y, screenX: c.screenX, screenY: c.screenY };
+  }
+
+  /* ─── Process Results (Synchronous) ─────────── */
+  _onResults(results, timestamp = performance.now()) {
+    this._frameTime = timestamp;
+    const assigned = results.multiHandLandmarks && results.multiHandLandmarks.length
+      ? this._assignHands(results.multiHandLandmarks, results.multiHandedness, timestamp)
+      : [];
+
+    // Raw-result consumers get the same stable identity: handIds[i] → 'left' / 'right'
+    // and a smoothed camera-distance estimate in metres: handDistances[i]
+    const world = results.multiHandWorldLandmarks || [];
+    const camera = this._cameraGeometry();
+    results.handIds = [];
+    results.handDistances = [];
+    assigned.forEach(([id, det]) => {
+      det.worldLandmarks = world[det.index] || null;
+      const distance = HandDepth.estimate(det.landmarks, det.worldLandmarks, camera);
+      det.distance = distance === null ? null : this.hands[id].filters.distance.filter(distance, timestamp / 1000);
+      results.handIds[det.index] = id;
+      results.handDistances[det.index] = det.distance;
+    });
+    this._emit('results', { results });
+
+    const seen = new Set();
+
+    for (const [id, det] of assigned) {
+      this._updateHand(this.hands[id], det, timestamp);
+      seen.add(id);
+    }
+    for (const id of Object.keys(this.hands)) {
+      if (!seen.has(id)) this._coastHand(this.hands[id], timestamp);
+    }
+
+    this._updateTwoHands(timestamp);
+    this._choosePrimary();
+    if (this._calibrationRun) this._calibrationStep(timestamp);
+    this._syncCursor();
+    this._updateCursorVisual();
+  }
+
+  /* ─── Tracking Quality ──────────────────────── */
+  _sampleQuality(timestamp, latency) {
+    this.quality.addFrame(timestamp, latency, Object.values(this.hands).map(hand => {
+      const raw = this._mapToScreen(hand.rawX, hand.rawY);
+      return {
+        id: hand.id, visible: hand.visible, coasting: hand.coasting, confidence: hand.handednessScore,
+        x: raw.x * window.innerWidth, y: raw.y * window.innerHeight
+      };
+    }));
+  }
+
+  _updateQuality(now) {
+    if (now - this._qualityCheckedAt < HandCursor.QUALITY_INTERVAL_MS) return;
+    this._qualityCheckedAt = now;
+    if (this.quality.evaluate(now)) {
+      const quality = this.quality.snapshot();
+      this._emit('quality', { quality, level: quality.level, issues: quality.issues, cause: quality.cause });
+    }
+    if (this.diagnosticsEl) this._renderDiagnostics();
+  }
+
+  // { fps, latency, confidence, jitter, dropoutRate, hands: { left, right }, level, issues, cause }
+  getQuality() {
+    return this.quality.snapshot();
+  }
+
+  // Where detection runs: { mode: 'worker' | 'main' | 'shell' | 'replay', delegate, fallback, label }
+  getDetectorStatus() {
+    if (this.replay) return { mode: 'replay', delegate: null, fallback: null, label: 'replay' };
+    if (this.shell) {
+      const detector = this.shell.detector;
+      return {
+        mode: 'shell',
+        delegate: detector ? detector.activeDelegate : null,
+        fallback: this.shell.workerFallback,
+        label: `shell · ${this.shell.describeDetector()}`
+      };
+    }
+    if (this.detector) {
+      return { mode: 'worker', delegate: this.detector.activeDelegate, fallback: null, label: this.detector.describe() };
+    }
+    const fallback = this.workerFallback;
+    return { mode: 'main', delegate: null, fallback, label: fallback ? `main (worker failed: ${fallback})` : 'main' };
+  }
+
+  /* ─── Diagnostics Overlay ───────────────────── */
+  showDiagnostics() {
+    if (this.diagnosticsEl) return;
+    this.diagnosticsEl = document.createElement('div');
+    this.diagnosticsEl.id = 'hand-diagnostics';
+    this.diagnosticsEl.style.cssText = `
+      position: fixed; left: 12px; bottom: 12px; z-index: 10002; pointer-events: none;
+      min-width: 220px; padding: 10px 14px; border-radius: 10px;
+      background: rgba(0, 0, 0, 0.75); color: #fff;
+      font: 12px/1.6 ui-monospace, Menlo, Consolas, monospace; white-space: pre;
+    `;
+    document.body.appendChild(this.diagnosticsEl);
+    this._renderDiagnostics();
+  }
+
+  hideDiagnostics() {
+    if (this.diagnosticsEl) this.diagnosticsEl.remove();
+    this.diagnosticsEl = null;
+  }
+
+  toggleDiagnostics() {
+    if (this.diagnosticsEl) this.hideDiagnostics();
+    else this.showDiagnostics();
+  }
+
+  _renderDiagnostics() {
+    const q = this.quality.snapshot();
+    const colors = { good: '#4cd964', ok: '#ffcc00', poor: '#ff3b30' };
+    const fmt = (v, digits, unit = '') => v === null || v === undefined ? '—' : v.toFixed(digits) + unit;
+    const perHand = key => ['left', 'right']
+      .map(id => `${id[0].toUpperCase()} ${fmt(q.hands[id] && q.hands[id][key], key === 'jitter' ? 1 : 2)}`)
+      .join('  ');
+
+    this.diagnosticsEl.innerHTML = [
+      `<span style="color:${colors[q.level]}">●</span> TRACKING ${q.level.toUpperCase()}` +
+        `  <span style="opacity:.5">${this.getDetectorStatus().label}</span>`,
+      `Detection   ${fmt(q.fps, 0, ' fps')}`,
+      `Latency     ${fmt(q.latency, 0, ' ms')}`,
+      `Confidence  ${perHand('confidence')}`,
+      `Jitter px   ${perHand('jitter')}`,
+      `Dropouts    ${q.dropoutRate === null ? '—' : Math.round(q.dropoutRate * 100) + '%'}`,
+      q.cause ? `<span style="color:${colors.ok}">${TrackingQuality.HINTS[q.cause]}</span>` : ''
+    ].filter(Boolean).join('\n');
+  }
+
+  /* ─── Smoothing ─────────────────────────────── */
+  // spec: preset name or { minCutoff, beta, dCutoff }; save keeps it for this page
+  setSmoothing(spec, { save = true } = {}) {
+    this.smoothing = HandSmoothing.resolve(spec);
+    Object.values(this.hands).forEach(hand => {
+      HandSmoothing.apply(hand.filters.x, this.smoothing);
+      HandSmoothing.apply(hand.filters.y, this.smoothing);
+    });
+    if (save) HandSmoothing.save(this.smoothingKey, this.smoothing);
+    this._emit('smoothingchange', { smoothing: this.getSmoothing() });
+    return this.getSmoothing();
+  }
+
+  // Forget this page's tuning and go back to the preset the game asked for
+  resetSmoothing() {
+    HandSmoothing.save(this.smoothingKey, null);
+    return this.setSmoothing(this.smoothingPreset, { save: false });
+  }
+
+  getSmoothing() {
+    return Object.assign({}, this.smoothing);
+  }
+
+  // Player holds the primary hand still; the unfiltered jitter picks minCutoff + beta
+  // for this camera. Restarts whenever the hand moves more than maxSpread (screen units).
+  // Resolves with { params, noise, rate } once applied and saved.
+  autoTuneSmoothing({ duration = 2000, timeout = 10000, maxSpread = 0.03, onProgress = null } = {}) {
+    if (this._smoothingRun) return this._smoothingRun.promise;
+
+    const run = { start: 0, samples: [] };
+    run.promise = new Promise((resolve, reject) => {
+      run.resolve = resolve;
+      run.reject = reject;
+    });
+    run.timer = setTimeout(() => this._finishAutoTune(new Error('Hand not held still — auto-tune cancelled')), timeout);
+    run.unsubscribe = this.on('handmove', (e) => {
+      const hand = e.handState;
+      if (hand.id !== this.primaryHand || hand.coasting) return;
+
+      const p = this._mapToScreen(hand.rawX, hand.rawY);
+      run.samples.push({ x: p.x, y: p.y, t: e.timestamp });
+      if (!run.start) run.start = e.timestamp;
+
+      const xs = run.samples.map(s => s.x), ys = run.samples.map(s => s.y);
+      if (Math.max(...xs) - Math.min(...xs) > maxSpread || Math.max(...ys) - Math.min(...ys) > maxSpread) {
+        run.samples = [run.samples[run.samples.length - 1]];
+        run.start = e.timestamp;
+      }
+
+      const elapsed = e.timestamp - run.start;
+      if (onProgress) onProgress(Math.min(1, elapsed / duration));
+      if (elapsed >= duration && run.samples.length >= 10) this._finishAutoTune(null, elapsed);
+    });
+    this._smoothingRun = run;
+    return run.promise;
+  }
+
+  cancelAutoTune() {
+    if (this._smoothingRun) this._finishAutoTune(new Error('Auto-tune cancelled'));
+  }
+
+  _finishAutoTune(err, elapsed) {
+    const run = this._smoothingRun;
+    this._smoothingRun = null;
+    clearTimeout(run.timer);
+    run.unsubscribe();
+    if (err) return run.reject(err);
+
+    // Frame-to-frame differences cancel slow drift; white noise of σ gives E[Δ²] = 2σ² per axis
+    const s = run.samples;
+    let sum = 0;
+    for (let i = 1; i < s.length; i++) sum += (s[i].x - s[i - 1].x) ** 2 + (s[i].y - s[i - 1].y) ** 2;
+    const noise = Math.sqrt(sum / (s.length - 1) / 4);
+    const rate = (s.length - 1) / (elapsed / 1000);
+    const params = this.setSmoothing(HandSmoothing.fromNoise(noise, rate));
+    run.resolve({ params, noise, rate });
+  }
+
+  /* ─── Interaction-Zone Calibration ──────────── */
+  static loadCalibration() {
+    try {
+      const rect = JSON.parse(localStorage.getItem(HandCursor.CALIBRATION_KEY));
+      return HandCursor._isValidCalibration(rect) ? rect : null;
+    } catch (e) {
+      return null;
     }
-    return curled >= 3;
   }
 
-  _isPalmOpen(landmarks) {
-    const fingersExt = [8, 12, 16, 20].every(tipIdx => landmarks[tipIdx].y < landmarks[tipIdx - 2].y);
-    const thumbSpread = Math.hypot(landmarks[4].x - landmarks[5].x, landmarks[4].y - landmarks[5].y) > 0.06;
-    return fingersExt && thumbSpread;
+  static _isValidCalibration(rect) {
+    return !!rect && ['left', 'top', 'right', 'bottom'].every(k => typeof rect[k] === 'number') &&
+      rect.right - rect.left >= HandCursor.MIN_CALIBRATION_SPAN &&
+      rect.bottom - rect.top >= HandCursor.MIN_CALIBRATION_SPAN;
+  }
+
+  // rect: { left, top, right, bottom } in mirrored camera coords (0..1); null = full frame
+  setCalibration(rect) {
+    if (rect && !HandCursor._isValidCalibration(rect)) throw new Error('Invalid calibration rectangle');
+    this.calibration = rect;
+    if (rect) localStorage.setItem(HandCursor.CALIBRATION_KEY, JSON.stringify(rect));
+    else localStorage.removeItem(HandCursor.CALIBRATION_KEY);
+  }
+
+  clearCalibration() {
+    this.setCalibration(null);
+  }
+
+  _mapToScreen(rawX, rawY) {
+    const c = this._calibrationRun ? null : this.calibration;
+    if (!c) return { x: rawX, y: rawY };
+    const clamp = v => Math.min(1, Math.max(0, v));
+    return {
+      x: clamp((rawX - c.left) / (c.right - c.left)),
+      y: clamp((rawY - c.top) / (c.bottom - c.top))
+    };
+  }
+
+  // Player traces the edges of their comfortable reach; resolves with the saved rect.
+  // While it runs the cursor uses the uncalibrated (full-frame) mapping.
+  calibrate({ duration = 6000, timeout = 20000 } = {}) {
+    if (this._calibrationRun) return this._calibrationRun.promise;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'hand-calibration';
+    overlay.style.cssText = `
+      position: fixed; inset: 0; z-index: 9998; pointer-events: none;
+      background: rgba(5, 2, 15, 0.75); color: #fff;
+      font-family: 'Segoe UI', system-ui, sans-serif; text-align: center;
+    `;
+    overlay.innerHTML = `
+      <div style="position:absolute;top:12%;left:0;right:0;font-size:28px;font-weight:900;letter-spacing:4px">🎯 CALIBRATE REACH</div>
+      <div class="calibration-label" style="position:absolute;top:12%;left:0;right:0;margin-top:48px;font-size:16px;letter-spacing:2px;color:rgba(255,255,255,.7)">
+        Show your hand, then trace the biggest rectangle you can reach comfortably</div>
+      <div class="calibration-box" style="position:absolute;border:3px dashed rgba(255,200,50,.8);border-radius:12px;display:none"></div>
+    `;
+    document.body.appendChild(overlay);
+
+    const run = { start: 0, xs: [], ys: [], duration, overlay };
+    run.promise = new Promise((resolve, reject) => {
+      run.resolve = resolve;
+      run.reject = reject;
+    });
+    run.timer = setTimeout(() => {
+      if (!run.start) this._finishCalibration(new Error('No hand seen — calibration cancelled'));
+    }, timeout);
+    this._calibrationRun = run;
+    this._resetFilters();
+    return run.promise;
+  }
+
+  cancelCalibration() {
+    if (this._calibrationRun) this._finishCalibration(new Error('Calibration cancelled'));
+  }
+
+  _calibrationStep(timestamp) {
+    const run = this._calibrationRun;
+    const hand = this.getHand();
+
+    if (hand && hand.visible) {
+      if (!run.start) run.start = timestamp;
+      run.xs.push(hand.rawX);
+      run.ys.push(hand.rawY);
+
+      const box = run.overlay.querySelector('.calibration-box');
+      const left = Math.min(...run.xs), right = Math.max(...run.xs);
+      const top = Math.min(...run.ys), bottom = Math.max(...run.ys);
+      box.style.display = 'block';
+      box.style.left = (left * 100) + '%';
+      box.style.top = (top * 100) + '%';
+      box.style.width = ((right - left) * 100) + '%';
+      box.style.height = ((bottom - top) * 100) + '%';
+    }
+
+    if (!run.start) return;
+    const remaining = run.duration - (timestamp - run.start);
+    run.overlay.querySelector('.calibration-label').textContent =
+      `Trace the edges of your comfortable reach… ${Math.max(0, Math.ceil(remaining / 1000))}s`;
+
+    if (remaining <= 0) {
+      // Percentiles instead of min/max so a single tracking glitch can't blow up the zone
+      const pct = (values, p) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(p * (sorted.length - 1))];
+      };
+      const rect = {
+        left: pct(run.xs, 0.02), right: pct(run.xs, 0.98),
+        top: pct(run.ys, 0.02), bottom: pct(run.ys, 0.98)
+      };
+      if (!HandCursor._isValidCalibration(rect)) {
+        this._finishCalibration(new Error('Not enough movement — trace a bigger rectangle'));
+      } else {
+        this.setCalibration(rect);
+        this._finishCalibration(null, rect);
+      }
+    }
+  }
+
+  _finishCalibration(err, rect) {
+    const run = this._calibrationRun;
+    this._calibrationRun = null;
+    clearTimeout(run.timer);
+    run.overlay.remove();
+    // Filters hold positions in the old mapping — start fresh
+    this._resetFilters();
+    if (err) run.reject(err);
+    else run.resolve(rect);
+  }
+
+  /* ─── Mirror hands into cursor / secondHand ─── */
+  // Legacy callbacks follow the primary hand only.
+  _syncCursor() {
+    const primary = this.getHand();
+    const other = primary && this.hands[primary.id === 'left' ? 'right' : 'left'];
+    const wasPinching = this.cursor.pinching;
+
+    if (primary) {
+      Object.assign(this.cursor, {
+        x: primary.x, y: primary.y,
+        screenX: primary.screenX, screenY: primary.screenY,
+        visible: true,
+        pinching: primary.pinching,
+        pinchAmount: primary.pinchAmount,
+        pointing: primary.pointing,
+        fistClosed: primary.fistClosed,
+        palmOpen: primary.palmOpen,
+        distance: primary.distance
+      });
+    } else {
+      Object.assign(this.cursor, { visible: false, pinching: false, pinchAmount: 0, pointing: false, fistClosed: false, palmOpen: false, distance: null });
+    }
+
+    if (other && other.visible) {
+      Object.assign(this.secondHand, {
+        id: other.id,
+        x: other.x, y: other.y,
+        screenX: other.screenX, screenY: other.screenY,
+        visible: true,
+        pinching: other.pinching,
+        pinchAmount: other.pinchAmount,
+        pointing: other.pointing,
+        fistClosed: other.fistClosed,
+        palmOpen: other.palmOpen,
+        distance: other.distance
+      });
+    } else {
+      Object.assign(this.secondHand, { id: null, visible: false, pinching: false, pinchAmount: 0, pointing: false, fistClosed: false, palmOpen: false, distance: null });
+    }
+
+    if (!primary) {
+      if (wasPinching) this._emit('release', this._cursorEvent(null, 'pinch'));
+      return;
+    }
+
+    if (this.cursor.palmOpen) this._emit('palmopen', this._cursorEvent(primary.id, 'palm'));
+
+    if (this.cursor.pinching && !wasPinching) {
+      this._showPinchRipple(this.cursor.screenX, this.cursor.screenY);
+      this._emit('pinch', this._cursorEvent(primary.id, 'pinch'));
+    } else if (!this.cursor.pinching && wasPinching) {
+      this._emit('release', this._cursorEvent(primary.id, 'pinch'));
+    }
+
+    this._emit('move', this._cursorEvent(primary.id));
+  }
+
+  /* ─── Motion Gestures ──────────────────────── */
+  // Strokes run from when the filtered fingertip speeds up until it slows down.
+  // Circles fire mid-stroke (so continuous circling repeats); swipes and flicks
+  // are classified when the stroke ends.
+  _updateMotion(hand, timestamp) {
+    const T = this.MOTION;
+    const m = hand.motion;
+    // Screen-height units keep circles round on wide screens
+    const p = { x: hand.screenX / window.innerHeight, y: hand.screenY / window.innerHeight, t: timestamp };
+    const prev = m.last;
+    m.last = p;
+    if (!prev || p.t <= prev.t) return;
+
+    const dx = p.x - prev.x, dy = p.y - prev.y;
+    const step = Math.hypot(dx, dy);
+    const speed = step / ((p.t - prev.t) / 1000);
+
+    if (!m.stroke) {
+      if (speed >= T.moveSpeed) {
+        m.stroke = { start: prev, end: p, path: step, turning: 0, angle: Math.atan2(dy, dx), circled: false };
+      }
+      return;
+    }
+
+    const stroke = m.stroke;
+    stroke.end = p;
+    stroke.path += step;
+
+    if (step > 0.004) {
+      const angle = Math.atan2(dy, dx);
+      let turn = angle - stroke.angle;
+      if (turn > Math.PI) turn -= 2 * Math.PI;
+      if (turn < -Math.PI) turn += 2 * Math.PI;
+      stroke.turning += turn;
+      stroke.angle = angle;
+    }
+
+    if (Math.abs(stroke.turning) >= 2 * Math.PI * T.circleTurns) {
+      // y grows downward, so a positive sweep is clockwise on screen
+      const direction = stroke.turning > 0 ? 'clockwise' : 'counterclockwise';
+      this._emitMotion(hand, 'circle', direction, { turns: stroke.turning / (2 * Math.PI) });
+      stroke.turning = 0;
+      stroke.circled = true;
+    }
+
+    if (speed < T.stopSpeed || p.t - stroke.start.t > T.maxStrokeMs) this._endStroke(hand);
+  }
+
+  _endStroke(hand) {
+    const T = this.MOTION;
+    const stroke = hand.motion.stroke;
+    hand.motion.stroke = null;
+    if (!stroke || stroke.circled) return;
+
+    const dx = stroke.end.x - stroke.start.x, dy = stroke.end.y - stroke.start.y;
+    const distance = Math.hypot(dx, dy);
+    const duration = stroke.end.t - stroke.start.t;
+    if (!duration || distance / stroke.path < T.straightness) return;
+
+    const direction = Math.abs(dx) >= Math.abs(dy)
+      ? (dx > 0 ? 'right' : 'left')
+      : (dy > 0 ? 'down' : 'up');
+    const speed = distance / (duration / 1000);
+    const detail = { distance, speed, duration };
+
+    if (duration <= T.flickMaxMs && distance >= T.flickMinDistance && distance < T.swipeMinDistance) {
+      this._emitMotion(hand, 'flick', direction, detail);
+    } else if (duration <= T.swipeMaxMs && distance >= T.swipeMinDistance && speed >= T.swipeMinSpeed) {
+      this._emitMotion(hand, 'swipe', direction, detail);
+    }
+  }
+
+  /* ─── Two-Hand Gestures ────────────────────── */
+  // Payload adds span, angle, scale, rotation and pan (see TwoHandGestures);
+  // x / y is the midpoint between the palms. A clap is also a 'motion' event.
+  _updateTwoHands(timestamp) {
+    const input = id => this.hands[id].visible && this.hands[id].landmarks
+      ? { landmarks: this.hands[id].landmarks, stale: this.hands[id].coasting }
+      : null;
+    const camera = this._cameraGeometry();
+    const aspect = (camera.width || HandCamera.DEFAULTS.width) / (camera.height || HandCamera.DEFAULTS.height);
+
+    this.twoHands.update(input('left'), input('right'), timestamp, aspect).forEach(e => {
+      const mid = this._mapToScreen(e.x, e.y);
+      const event = Object.assign({}, e, {
+        hand: null,
+        gesture: e.type === 'clap' ? 'clap' : null,
+        x: mid.x, y: mid.y,
+        screenX: mid.x * window.innerWidth,
+        screenY: mid.y * window.innerHeight
+      });
+      delete event.type;
+      this._emit(e.type, event);
+      if (e.type === 'clap') this._emit('motion', Object.assign({}, event, { kind: 'clap', direction: null }));
+    });
+  }
+
+  // Emits the specific event ('swipe' / 'flick' / 'circle') plus a catch-all 'motion'
+  _emitMotion(hand, kind, direction, detail) {
+    const event = Object.assign(this._handEvent(hand, `${kind}-${direction}`), { kind, direction }, detail);
+    this._emit(kind, event);
+    this._emit('motion', event);
+  }
+
+  // Index extended, the other three curled — weakest of the four decides
+  _pointScore(landmarks) {
+    const [index, middle, ring, pinky] = this._fingerExtension(landmarks);
+    return Math.min(index, 1 - middle, 1 - ring, 1 - pinky);
+  }
+
+  /* ─── Finger Count ─────────────────────────── */
+  // 'fingercount' fires once a count has held for COUNT_HOLD_MS, and again only
+  // after it changes (or the hand leaves and comes back)
+  _updateFingerCount(hand, landmarks, timestamp) {
+    hand.fingers = this._extendedFingers(landmarks, hand.scale);
+    hand.fingerCount = hand.fingers.filter(Boolean).length;
+
+    const c = hand.count;
+    if (hand.fingerCount !== c.value) {
+      c.value = hand.fingerCount;
+      c.since = timestamp;
+    } else if (c.value !== c.held && timestamp - c.since >= this.COUNT_HOLD_MS) {
+      c.held = c.value;
+      this._emit('fingercount', Object.assign(this._handEvent(hand, 'fingers'), { count: c.held }));
+    }
+  }
+
+  // Fingers: tip well beyond the PIP joint as seen from the wrist (works at any hand angle).
+  // Thumb: tip sticks out sideways past the index knuckle. "Sideways" is measured along
+  // pinky MCP → index MCP, which points toward the thumb for a left or right hand, palm
+  // or back to the camera — so no handedness label or mirror flip is needed.
+  _extendedFingers(landmarks, scale) {
+    const fingers = this._fingerRatios(landmarks).map(ratio => ratio > this.FINGER_EXTEND_RATIO);
+
+    const ax = landmarks[5].x - landmarks[17].x, ay = landmarks[5].y - landmarks[17].y;
+    const axisLength = Math.max(1e-6, Math.hypot(ax, ay));
+    const out = ((landmarks[4].x - landmarks[5].x) * ax + (landmarks[4].y - landmarks[5].y) * ay) / axisLength;
+    return [out / scale > this.THUMB_OUT_RATIO, ...fingers];
+  }
+
+  getFingerCount(id = this.primaryHand) {
+    const hand = this.getHand(id);
+    return hand && hand.visible ? hand.fingerCount : 0;
+  }
+
+  // Tip-to-wrist ÷ PIP-to-wrist for index, middle, ring, pinky. A ratio of two
+  // distances on the same hand, so size, position and rotation drop out
+  _fingerRatios(landmarks) {
+    const wrist = landmarks[0];
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    return [[8, 6], [12, 10], [16, 14], [20, 18]].map(([tip, pip]) =>
+      dist(landmarks[tip], wrist) / Math.max(1e-6, dist(landmarks[pip], wrist)));
+  }
+
+  // 0 = curled (FIST_CURL_RATIO) → 1 = extended (FINGER_EXTEND_RATIO), per finger
+  _fingerExtension(landmarks) {
+    const span = this.FINGER_EXTEND_RATIO - this.FIST_CURL_RATIO;
+    return this._fingerRatios(landmarks)
+      .map(ratio => Math.min(1, Math.max(0, (ratio - this.FIST_CURL_RATIO) / span)));
+  }
+
+  // Index and middle extended, ring and pinky curled
+  _peaceScore(landmarks) {
+    const [index, middle, ring, pinky] = this._fingerExtension(landmarks);
+    return Math.min(index, middle, 1 - ring, 1 - pinky);
+  }
+
+  // Third-most-curled finger decides — i.e. at least 3 of 4 fingers curled
+  _fistScore(landmarks) {
+    const curls = this._fingerRatios(landmarks)
+      .map(ratio => Math.min(1, Math.max(0, 0.5 + (this.FIST_CURL_RATIO - ratio) / (2 * (1 - this.FIST_CURL_RATIO)))))
+      .sort((a, b) => b - a);
+    return curls[2];
+  }
+
+  // All four fingers extended and the thumb spread away from the index knuckle
+  _palmScore(landmarks, scale) {
+    const spread = Math.hypot(landmarks[4].x - landmarks[5].x, landmarks[4].y - landmarks[5].y) / scale;
+    return Math.min(1, spread / (2 * this.PALM_SPREAD_RATIO), ...this._fingerExtension(landmarks));
   }
 
   _updateCursorVisual() {
@@ -346,20 +1564,38 @@ class HandCursor {
     setTimeout(() => ripple.remove(), 500);
   }
 
-  isOver(element) {
-    if (!this.cursor.visible) return false;
+  isOver(element, hand, padding = 0) {
+    const pos = hand ? this.hands[hand] : this.cursor;
+    if (!pos.visible) return false;
     const rect = element.getBoundingClientRect();
-    return (this.cursor.screenX >= rect.left && this.cursor.screenX <= rect.right &&
-      this.cursor.screenY >= rect.top && this.cursor.screenY <= rect.bottom);
+    return (pos.screenX >= rect.left - padding && pos.screenX <= rect.right + padding &&
+      pos.screenY >= rect.top - padding && pos.screenY <= rect.bottom + padding);
   }
 
-  getPosition() {
-    return { ...this.cursor, pinching: this.cursor.pinching, pointing: this.cursor.pointing };
+  getPosition(hand) {
+    if (hand) {
+      const { filters, gestures, ...state } = this.hands[hand];
+      return state;
+    }
+    return { ...this.cursor, hand: this.primaryHand, pinching: this.cursor.pinching, pointing: this.cursor.pointing };
   }
 
   destroy() {
+    if (this._calibrationRun) this.cancelCalibration();
+    if (this._smoothingRun) this.cancelAutoTune();
     this.ready = false;
-    if (this.video && this.video.srcObject) {
+    this.replay = null;
+    this.recording = null;
+    if (this.detector) this.detector.terminate();
+    this.detector = null;
+    this.hideDiagnostics();
+    this._unsubscribePreference();
+    if (this.diagnosticsKey) window.removeEventListener('keydown', this._onDiagnosticsKey);
+    if (this._unsubscribeShell) {
+      // The camera belongs to the shell — just stop listening
+      this._unsubscribeShell();
+      this._unsubscribeShell = null;
+    } else if (this.video && this.video.srcObject) {
       this.video.srcObject.getTracks().forEach(t => t.stop());
       this.video.remove();
     }
@@ -367,3 +1603,28 @@ class HandCursor {
     if (this.rippleContainer) this.rippleContainer.remove();
   }
 }
+
+HandCursor.RECORDING_FORMAT = 'hand-cursor-recording';
+
+// event type → [option callback, positional args] for the pre-event-API callbacks
+HandCursor.LEGACY_CALLBACKS = {
+  ready: ['onReady', () => []],
+  error: ['onError', e => [e.error]],
+  results: ['onResults', e => [e.results]],
+  pinch: ['onPinch', e => [e.x, e.y]],
+  release: ['onRelease', e => [e.x, e.y]],
+  move: ['onMove', e => [e.x, e.y]],
+  palmopen: ['onPalmOpen', e => [e.x, e.y]],
+  replayend: ['onReplayEnd', () => []],
+  camerachange: ['onCameraChange', e => [e.stream]],
+  gesturestart: ['onGestureStart', e => [e.gesture, e.x, e.y, e.hand]],
+  gestureend: ['onGestureEnd', e => [e.gesture, e.x, e.y, e.hand]],
+  handfound: ['onHandFound', e => [e.handState]],
+  handlost: ['onHandLost', e => [e.handState]],
+  handmove: ['onHandMove', e => [e.handState]],
+  handpinch: ['onHandPinch', e => [e.handState]],
+  handrelease: ['onHandRelease', e => [e.handState]]
+};
+HandCursor.QUALITY_INTERVAL_MS = 500;
+HandCursor.CALIBRATION_KEY = 'hand-calibration';
+HandCursor.MIN_CALIBRATION_SPAN = 0.15;
@@ -0,0 +1,362 @@
+/* ═══════════════════════════════════════════════════════════
+   🎛️ INPUT ROUTER — Abstract game actions for every input
+   A game declares actions (flap, punch-left, select...) with
+   default bindings; hand gestures, keyboard, mouse and gamepad
+   all trigger them. Players can rebind (F1 panel) and the
+   bindings are saved per game in localStorage.
+
+   Binding strings:
+     key:Space          KeyboardEvent.code
+     mouse:left         left / middle / right button
+     pad:0              gamepad button index
+     pad:axis1-         gamepad axis past -0.5 (axis1+ for positive)
+     gesture:pinch      HandCursor gesture, any hand (gesture:fist@left for one hand)
+     motion:swipe-left  HandCursor motion gesture (press only)
+     fingers:3          HandCursor finger count held steady, 0..5 (press only)
+   ═══════════════════════════════════════════════════════════ */
+
+class InputRouter {
+  // actions: { name: { label, bindings: [...] } }
+  constructor(gameId, options = {}) {
+    this.gameId = gameId;
+    this.storageKey = `${InputRouter.STORAGE_PREFIX}${gameId}`;
+    this.handCursor = options.handCursor || null;
+    this.target = options.target || window;
+    this.panelKey = options.panelKey !== undefined ? options.panelKey : 'F1';
+    this.enabled = true;
+
+    // Actions + bindings (saved bindings override the defaults)
+    this.actions = new Map();
+    const saved = this._loadSaved();
+    Object.entries(options.actions || {}).forEach(([name, spec]) => {
+      this.actions.set(name, {
+        label: spec.label || name,
+        defaults: [...(spec.bindings || [])],
+        bindings: saved[name] ? [...saved[name]] : [...(spec.bindings || [])]
+      });
+    });
+
+    // Listeners — action → Set of fns; '*' hears every action
+    this._listeners = new Map();
+
+    // Held inputs: binding string → Set of holders ('left' / 'right' for hands, else the source),
+    // so one hand letting go doesn't release a binding the other hand still holds
+    this._held = new Map();
+    this._padState = new Set();   // pad bindings pressed at the last poll
+    this._capture = null;         // pending captureBinding()
+    this._rafId = null;
+    this._unsubscribers = [];
+    this.panelEl = null;
+
+    this._bindDom();
+    if (this.handCursor) this._bindHandCursor(this.handCursor);
+    this._pollGamepads();
+  }
+
+  /* ─── Listeners ─────────────────────────────── */
+  // Event: { action, phase: 'press' | 'release', source, binding, hand, x, y, timestamp }
+  on(action, listener) {
+    if (!this._listeners.has(action)) this._listeners.set(action, new Set());
+    this._listeners.get(action).add(listener);
+    return () => this.off(action, listener);
+  }
+
+  off(action, listener) {
+    const listeners = this._listeners.get(action);
+    if (listeners) listeners.delete(listener);
+    return this;
+  }
+
+  // Is any input bound to this action held right now?
+  isActive(action) {
+    const spec = this.actions.get(action);
+    return !!spec && spec.bindings.some(b => this._held.has(b));
+  }
+
+  // Analog strength 0..1 of a held action: pinch bindings follow how tightly the
+  // hand pinches (HandCursor pinchAmount, PINCH_RELEASE → 0, touching → 1),
+  // keys / buttons / other gestures are 1
+  getValue(action) {
+    const spec = this.actions.get(action);
+    if (!spec) return 0;
+    return spec.bindings.filter(b => this._held.has(b))
+      .reduce((value, b) => Math.max(value, this._bindingValue(b)), 0);
+  }
+
+  _bindingValue(binding) {
+    const match = /^gesture:pinch(?:@(left|right))?$/.exec(binding);
+    if (!match || !this.handCursor) return 1;
+    const hands = match[1] ? [this.handCursor.getHand(match[1])] : this.handCursor.getVisibleHands();
+    const release = this.handCursor.PINCH_RELEASE;
+    const amounts = hands.filter(hand => hand && hand.visible)
+      .map(hand => Math.min(1, Math.max(0, (hand.pinchAmount - release) / (1 - release))));
+    return Math.max(0, ...amounts);
+  }
+
+  /* ─── Bindings ──────────────────────────────── */
+  getBindings(action) {
+    const spec = this.actions.get(action);
+    return spec ? [...spec.bindings] : [];
+  }
+
+  setBindings(action, bindings) {
+    const spec = this.actions.get(action);
+    if (!spec) throw new Error(`Unknown action "${action}"`);
+    spec.bindings = [...bindings];
+    this._save();
+  }
+
+  resetBindings(action) {
+    const names = action ? [action] : [...this.actions.keys()];
+    names.forEach(name => {
+      const spec = this.actions.get(name);
+      if (spec) spec.bindings = [...spec.defaults];
+    });
+    this._save();
+  }
+
+  // Resolves with the next binding string the player presses (for rebinding UIs)
+  captureBinding() {
+    if (this._capture) this._capture.reject(new Error('Capture replaced'));
+    // Inputs already down (the pinch or key that opened capture) must be let go first
+    const ignore = new Set(this._held.keys());
+    return new Promise((resolve, reject) => { this._capture = { resolve, reject, ignore }; });
+  }
+
+  _loadSaved() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  _save() {
+    const changed = {};
+    this.actions.forEach((spec, name) => {
+      if (spec.bindings.join('|') !== spec.defaults.join('|')) changed[name] = spec.bindings;
+    });
+    if (Object.keys(changed).length) localStorage.setItem(this.storageKey, JSON.stringify(changed));
+    else localStorage.removeItem(this.storageKey);
+  }
+
+  /* ─── Input Sources ─────────────────────────── */
+  _bindDom() {
+    const buttons = ['left', 'middle', 'right'];
+    const handlers = {
+      keydown: (e) => {
+        if (e.code === this.panelKey) {
+          e.preventDefault();
+          this.toggleBindingsPanel();
+          return;
+        }
+        if (e.repeat) {
+          if (this._isBound(`key:${e.code}`)) e.preventDefault();
+          return;
+        }
+        if (this._input(`key:${e.code}`, 'press', 'key')) e.preventDefault();
+      },
+      keyup: (e) => this._input(`key:${e.code}`, 'release', 'key'),
+      mousedown: (e) => {
+        // Clicks on the bindings panel are UI, never a binding
+        if (this.panelEl && this.panelEl.contains(e.target)) return;
+        this._input(`mouse:${buttons[e.button]}`, 'press', 'mouse', { x: e.clientX / window.innerWidth, y: e.clientY / window.innerHeight });
+      },
+      mouseup: (e) => this._input(`mouse:${buttons[e.button]}`, 'release', 'mouse', { x: e.clientX / window.innerWidth, y: e.clientY / window.innerHeight }),
+      blur: () => this._held.clear()
+    };
+    Object.entries(handlers).forEach(([type, fn]) => {
+      const target = type === 'blur' ? window : this.target;
+      target.addEventListener(type, fn);
+      this._unsubscribers.push(() => target.removeEventListener(type, fn));
+    });
+  }
+
+  _bindHandCursor(handCursor) {
+    const fromHand = (phase) => (e) => {
+      const detail = { hand: e.hand, x: e.x, y: e.y, timestamp: e.timestamp };
+      this._input(`gesture:${e.gesture}@${e.hand}`, phase, 'gesture', detail);
+      this._input(`gesture:${e.gesture}`, phase, 'gesture', detail);
+    };
+    this._unsubscribers.push(
+      handCursor.on('gesturestart', fromHand('press')),
+      handCursor.on('gestureend', fromHand('release')),
+      handCursor.on('motion', (e) => {
+        this._input(`motion:${e.gesture}`, 'press', 'motion', { hand: e.hand, x: e.x, y: e.y, timestamp: e.timestamp });
+      }),
+      // Counts are one-shot like motion gestures — nothing to hold
+      handCursor.on('fingercount', (e) => {
+        this._input(`fingers:${e.count}`, 'press', 'motion', { hand: e.hand, x: e.x, y: e.y, timestamp: e.timestamp });
+      })
+    );
+  }
+
+  _pollGamepads() {
+    const poll = () => {
+      const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+      const pressed = new Set();
+      pads.forEach(pad => {
+        pad.buttons.forEach((b, i) => { if (b.pressed) pressed.add(`pad:${i}`); });
+        pad.axes.forEach((v, i) => {
+          if (v < -0.5) pressed.add(`pad:axis${i}-`);
+          if (v > 0.5) pressed.add(`pad:axis${i}+`);
+        });
+      });
+
+      pressed.forEach(b => { if (!this._padState.has(b)) this._input(b, 'press', 'pad'); });
+      this._padState.forEach(b => { if (!pressed.has(b)) this._input(b, 'release', 'pad'); });
+      this._padState = pressed;
+
+      this._rafId = requestAnimationFrame(poll);
+    };
+    this._rafId = requestAnimationFrame(poll);
+  }
+
+  /* ─── Dispatch ──────────────────────────────── */
+  _isBound(binding) {
+    for (const spec of this.actions.values()) {
+      if (spec.bindings.includes(binding)) return true;
+    }
+    return false;
+  }
+
+  // Returns true when the input triggered at least one action
+  _input(binding, phase, source, detail = {}) {
+    // Motion gestures are instantaneous, nothing to hold
+    const holder = detail.hand || source;
+    if (phase === 'press' && source !== 'motion') {
+      if (!this._held.has(binding)) this._held.set(binding, new Set());
+      this._held.get(binding).add(holder);
+    } else if (this._held.has(binding)) {
+      const holders = this._held.get(binding);
+      holders.delete(holder);
+      if (!holders.size) this._held.delete(binding);
+    }
+    if (this._capture && !this._held.has(binding)) this._capture.ignore.delete(binding);
+
+    if (this._capture && phase === 'press') {
+      // '@hand' variants are redundant with the any-hand binding that follows
+      if (binding.includes('@')) return false;
+      if (this._capture.ignore.has(binding)) return false;
+      this._capture.resolve(binding);
+      this._capture = null;
+      return true;
+    }
+    // Actions pause while the player edits bindings
+    if (!this.enabled || this.panelEl) return false;
+    // Still held by another hand — the action isn't released yet
+    if (phase === 'release' && this._held.has(binding)) return false;
+
+    let handled = false;
+    this.actions.forEach((spec, action) => {
+      if (!spec.bindings.includes(binding)) return;
+      handled = true;
+      this._emit(action, Object.assign({
+        action, phase, source, binding,
+        hand: null, x: null, y: null, timestamp: performance.now()
+      }, detail));
+    });
+    return handled;
+  }
+
+  _emit(action, event) {
+    [action, '*'].forEach(key => {
+      const listeners = this._listeners.get(key);
+      if (!listeners) return;
+      [...listeners].forEach(listener => {
+        try {
+          listener(event);
+        } catch (err) {
+          console.error(`InputRouter "${action}" listener failed:`, err);
+        }
+      });
+    });
+  }
+
+  /* ─── Bindings Panel (F1) ───────────────────── */
+  toggleBindingsPanel() {
+    if (this.panelEl) this.closeBindingsPanel();
+    else this.openBindingsPanel();
+  }
+
+  openBindingsPanel() {
+    if (this.panelEl) return;
+    this.panelEl = document.createElement('div');
+    this.panelEl.id = 'input-bindings';
+    this.panelEl.style.cssText = `
+      position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); z-index: 9999;
+      min-width: 420px; max-height: 80vh; overflow: auto; padding: 24px 28px;
+      background: rgba(10, 5, 25, 0.95); border: 1px solid rgba(255,255,255,.15); border-radius: 16px;
+      color: #fff; font-family: 'Segoe UI', system-ui, sans-serif; font-size: 14px;
+    `;
+    document.body.appendChild(this.panelEl);
+    this._renderPanel();
+  }
+
+  closeBindingsPanel() {
+    if (this._capture) {
+      this._capture.reject(new Error('Capture cancelled'));
+      this._capture = null;
+    }
+    if (this.panelEl) this.panelEl.remove();
+    this.panelEl = null;
+  }
+
+  _renderPanel(status = `Click ➕ then press a key, mouse button, pad button or make a gesture · ${this.panelKey} closes`) {
+    const rows = [...this.actions.entries()].map(([name, spec]) => `
+      <tr data-action="${name}">
+        <td style="padding:6px 12px 6px 0;font-weight:700;letter-spacing:1px">${spec.label}</td>
+        <td style="padding:6px 0">
+          ${spec.bindings.map((b, i) => `<button data-remove="${i}" title="Remove" style="margin:2px;padding:3px 8px;border-radius:6px;border:1px solid rgba(255,255,255,.2);background:rgba(255,255,255,.08);color:#fff;cursor:pointer">${b} ✕</button>`).join('')}
+          <button data-add style="margin:2px;padding:3px 8px;border-radius:6px;border:1px dashed rgba(255,200,50,.6);background:none;color:#ffc832;cursor:pointer">➕</button>
+        </td>
+      </tr>`).join('');
+
+    this.panelEl.innerHTML = `
+      <div style="font-size:18px;font-weight:900;letter-spacing:3px;margin-bottom:6px">🎛️ CONTROLS</div>
+      <div class="input-bindings-status" style="color:rgba(255,255,255,.5);margin-bottom:14px">${status}</div>
+      <table style="border-collapse:collapse;width:100%">${rows}</table>
+      <div style="margin-top:16px;display:flex;gap:10px;justify-content:flex-end">
+        <button data-reset style="padding:6px 14px;border-radius:8px;border:1px solid rgba(255,255,255,.2);background:none;color:#fff;cursor:pointer">Reset defaults</button>
+        <button data-close style="padding:6px 14px;border-radius:8px;border:none;background:#8844ff;color:#fff;cursor:pointer">Done</button>
+      </div>
+    `;
+
+    this.panelEl.querySelectorAll('tr[data-action]').forEach(row => {
+      const action = row.dataset.action;
+      row.querySelectorAll('[data-remove]').forEach(btn => btn.addEventListener('click', () => {
+        const bindings = this.getBindings(action);
+        bindings.splice(Number(btn.dataset.remove), 1);
+        this.setBindings(action, bindings);
+        this._renderPanel();
+      }));
+      row.querySelector('[data-add]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.panelEl.querySelector('.input-bindings-status').textContent = `Waiting for input for "${this.actions.get(action).label}"...`;
+        // Let this click's mouseup pass before listening
+        setTimeout(() => this.captureBinding().then(binding => {
+          const bindings = this.getBindings(action);
+          if (!bindings.includes(binding)) this.setBindings(action, [...bindings, binding]);
+          if (this.panelEl) this._renderPanel();
+        }).catch(() => {}), 0);
+      });
+    });
+    this.panelEl.querySelector('[data-reset]').addEventListener('click', () => {
+      this.resetBindings();
+      this._renderPanel();
+    });
+    this.panelEl.querySelector('[data-close]').addEventListener('click', () => this.closeBindingsPanel());
+  }
+
+  destroy() {
+    this._unsubscribers.forEach(off => off());
+    this._unsubscribers = [];
+    if (this._rafId !== null) cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+    this.closeBindingsPanel();
+    this._listeners.clear();
+    this._held.clear();
+  }
+}
+
+InputRouter.STORAGE_PREFIX = 'input-bindings:';
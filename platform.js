@@ -1,52 +1,220 @@
 /* ═══════════════════════════════════════════════════════════
    🎮 GAME PLATFORM — Core Platform Engine (platform.js)
-   Game registry, hand-based menu navigation, hover/select
+   Game registry (games/index.json + one manifest.json per game),
+   hand-based menu navigation, hover/select
+   Cards are paged and filtered by manifest tags: dwell on the
+   ◀ ▶ arrows or swipe to turn pages; arrow keys / d-pad move a
+   focus highlight and turn the page at the row's edge
+   Games run in an <iframe> over the hub and share its camera +
+   detector (HandShell), so switching games needs no camera or
+   model restart
    ═══════════════════════════════════════════════════════════ */
 
 class GamePlatform {
   constructor() {
-    // Registered games
+    // Registered games (loaded from manifests, see loadGames)
     this.games = [];
+    this.manifestErrors = [];     // "games/<id>/manifest.json: ..." for every game that was skipped
 
-    // Hand cursor
+    // Hand cursor + the camera / detector it shares with hosted games
     this.handCursor = null;
+    this.shell = null;
 
-    // Hover state
-    this.hoveredCard = null;
-    this.hoverStartTime = 0;
+    // Running game (<iframe id="game-frame">)
+    this.gameFrame = null;
+    this.LAUNCH_MIN_MS = 400;    // launch overlay shows at least this long
+
+    // Dwell selection (shared DwellSelector)
+    this.dwell = null;
     this.HOVER_SELECT_MS = 1200; // hold finger over card for 1.2s to auto-select
-    this.hoverProgress = 0;
 
     // DOM
     this.gameGrid = null;
     this.statusEl = null;
-    this.progressRing = null;
+
+    // Paging + categories (manifest tags)
+    this.PAGE_SIZE = 4;           // one row on desktop, 2 × 2 on phones — never needs scrolling
+    this.PAGE_DWELL_MS = 800;     // arrows fire faster than cards and repeat while held
+    this.page = 0;
+    this.category = 'all';
+    this.pageControls = new Map();   // arrow / category element → action (click, dwell, select)
+    this.focused = null;             // keyboard / gamepad focus (.focused)
+    this._mouseFallback = false;
+
+    // Camera settings overlay
+    this.cameraPicker = null;
+
+    // Live smoothing tuning (F4)
+    this.smoothingPanel = null;
+
+    // Hub buttons (element id → action) — click, dwell and select all run these
+    this.hubActions = {
+      'calibrate-btn': () => this._calibrate(),
+      'camera-btn': () => this._openCameraPicker(),
+      'hand-btn': () => this._cycleDominantHand(),
+      'mirror-btn': () => this._toggleMirror(),
+      'trainer-btn': () => this._openTrainer()
+    };
+
+    // Abstract actions (pinch / keyboard / gamepad)
+    this.input = null;
 
     // State
-    this.state = 'loading'; // loading, ready, selecting
+    this.state = 'loading'; // loading, ready, calibrating, configuring, launching, playing
   }
 
   /* ─── Register a Game ───────────────────────── */
+  // Normally called by loadGames() for each manifest — see ADD_GAME_GUIDE.md
   registerGame(gameConfig) {
-    // gameConfig: { id, title, emoji, description, color, path, comingSoon }
+    // gameConfig: { id, title, emoji, description, color, path, gestures, minPlayers, maxPlayers, tags, comingSoon }
     this.games.push(gameConfig);
   }
 
+  /* ─── Load Game Manifests ───────────────────── */
+  // games/index.json lists folder ids in card order; each games/<id>/manifest.json
+  // describes one game. Broken manifests are skipped and reported, not fatal.
+  async loadGames(indexUrl = GamePlatform.GAMES_INDEX) {
+    const base = indexUrl.slice(0, indexUrl.lastIndexOf('/') + 1);
+
+    let ids;
+    try {
+      const index = await GamePlatform._fetchJson(indexUrl);
+      if (!index || !Array.isArray(index.games) || !index.games.every(id => typeof id === 'string')) {
+        throw new Error('expected { "games": ["<folder id>", ...] }');
+      }
+      ids = index.games;
+    } catch (err) {
+      this.manifestErrors.push(`${indexUrl}: ${err.message}`);
+      return this.games;
+    }
+
+    const manifests = await Promise.all(ids.map(async (id) => {
+      const url = `${base}${id}/manifest.json`;
+      try {
+        const manifest = await GamePlatform._fetchJson(url);
+        const errors = GamePlatform.validateManifest(manifest, id);
+        if (errors.length) throw new Error(errors.join('; '));
+        return GamePlatform._gameFromManifest(manifest, `${base}${id}/`);
+      } catch (err) {
+        this.manifestErrors.push(`${url}: ${err.message}`);
+        return null;
+      }
+    }));
+
+    const seen = new Set(this.games.map(g => g.id));
+    manifests.filter(Boolean).forEach(game => {
+      if (seen.has(game.id)) {
+        this.manifestErrors.push(`${base}${game.id}/manifest.json: duplicate game id "${game.id}"`);
+        return;
+      }
+      seen.add(game.id);
+      this.registerGame(game);
+    });
+    this.manifestErrors.forEach(msg => console.error('Game manifest skipped —', msg));
+    return this.games;
+  }
+
+  static async _fetchJson(url) {
+    let res;
+    try {
+      res = await fetch(url);
+    } catch (err) {
+      throw new Error('could not be loaded — serve the folder over http(s), file:// pages cannot fetch');
+    }
+    if (!res.ok) throw new Error(`could not be loaded (${res.status})`);
+    try {
+      return await res.json();
+    } catch (err) {
+      throw new Error(`is not valid JSON (${err.message})`);
+    }
+  }
+
+  // Returns a list of problems; empty = valid. folderId: the id the index listed it under.
+  static validateManifest(manifest, folderId) {
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return ['must be a JSON object'];
+
+    const errors = [];
+    const isText = v => typeof v === 'string' && v.trim().length > 0;
+    const isTextList = v => Array.isArray(v) && v.every(isText);
+
+    if (!isText(manifest.id) || !/^[a-z0-9][a-z0-9-]*$/.test(manifest.id)) {
+      errors.push('"id" must be lowercase letters, digits and dashes');
+    } else if (manifest.id !== folderId) {
+      errors.push(`"id" is "${manifest.id}" but the folder is "${folderId}"`);
+    }
+    ['title', 'emoji', 'description'].forEach(key => {
+      if (!isText(manifest[key])) errors.push(`"${key}" must be a non-empty string`);
+    });
+    if (typeof manifest.color !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(manifest.color)) {
+      errors.push('"color" must be a hex colour like "#44cc88"');
+    }
+    if (!isText(manifest.entry) || !/\.html?$/.test(manifest.entry) ||
+        /^([a-z]+:|\/)/i.test(manifest.entry) || manifest.entry.split('/').includes('..')) {
+      errors.push('"entry" must be an .html page inside the game folder, e.g. "index.html"');
+    }
+    if (!isTextList(manifest.gestures)) errors.push('"gestures" must be a list of gesture names, e.g. ["pinch", "palm"]');
+    if (!Number.isInteger(manifest.minPlayers) || manifest.minPlayers < 1) {
+      errors.push('"minPlayers" must be a whole number ≥ 1');
+    }
+    if (!Number.isInteger(manifest.maxPlayers) || manifest.maxPlayers < (Number.isInteger(manifest.minPlayers) ? manifest.minPlayers : 1)) {
+      errors.push('"maxPlayers" must be a whole number ≥ minPlayers');
+    }
+    if (!isTextList(manifest.tags)) errors.push('"tags" must be a list of strings');
+    if (manifest.comingSoon !== undefined && typeof manifest.comingSoon !== 'boolean') {
+      errors.push('"comingSoon" must be true or false');
+    }
+
+    const unknown = Object.keys(manifest).filter(key => !GamePlatform.MANIFEST_KEYS.includes(key));
+    if (unknown.length) errors.push(`unknown field${unknown.length > 1 ? 's' : ''} ${unknown.map(k => `"${k}"`).join(', ')}`);
+    return errors;
+  }
+
+  static _gameFromManifest(manifest, folder) {
+    return {
+      id: manifest.id,
+      title: manifest.title,
+      emoji: manifest.emoji,
+      description: manifest.description,
+      color: manifest.color,
+      path: folder + manifest.entry,
+      gestures: manifest.gestures,
+      minPlayers: manifest.minPlayers,
+      maxPlayers: manifest.maxPlayers,
+      tags: manifest.tags,
+      comingSoon: !!manifest.comingSoon
+    };
+  }
+
   /* ─── Initialize Platform ───────────────────── */
   async init() {
     this.gameGrid = document.getElementById('game-grid');
     this.statusEl = document.getElementById('platform-status');
 
     // Render game cards
+    await this.loadGames();
+    this._bindPager();
+    this._renderCategories();
     this._renderGameCards();
+    this._renderManifestErrors();
+
+    Object.entries(this.hubActions).forEach(([id, action]) => {
+      document.getElementById(id).addEventListener('click', action);
+    });
 
     // Setup hand tracking
     this.statusEl.textContent = '📷 Starting camera & hand tracking...';
 
+    this.shell = new HandShell({
+      useWorker: new URLSearchParams(window.location.search).has('handWorker'),
+      onExit: () => this._closeGame()
+    }).publish();
+
     this.handCursor = new HandCursor({
+      shell: this.shell,
       onReady: () => {
         this.state = 'ready';
         this.statusEl.textContent = '🖐️ Show your palm over a game to select!';
+        if (this.shell.useWorker) this.statusEl.textContent += ` (${this.shell.describeDetector()})`;
         this.statusEl.classList.add('ready');
         // Unhide instructions
         document.getElementById('instructions').classList.remove('hidden');
@@ -57,39 +225,132 @@ class GamePlatform {
           const stream = this.handCursor.getStream();
           if (stream) previewCam.srcObject = stream;
         }
+        this._renderHandButtons();
+      },
+      onCameraChange: (stream) => {
+        const previewCam = document.getElementById('preview-cam');
+        if (previewCam) previewCam.srcObject = stream;
       },
       onError: (err) => {
+        // A failed switch in the camera picker — it shows the error, the old camera is back
+        if (this.cameraPicker) return;
         this.statusEl.textContent = '❌ Camera error: ' + err.message;
         this.statusEl.classList.add('error');
         // Enable mouse fallback
         this._enableMouseFallback();
-      },
-      onPinch: (x, y) => {
-        this._onSelect(x, y);
-      },
-      onMove: (x, y) => {
-        this._onCursorMove(x, y);
-      },
-      onPalmOpen: (x, y) => {
-        // Palm gesture also drives hover detection
-        this._onCursorMove(x, y);
       }
     });
 
+    // A game or another tab saved a new hand preference — keep the buttons and preview in step
+    this.handCursor.on('preferencechange', () => {
+      if (this.handCursor.ready) this._renderHandButtons();
+    });
+
+    this._startHubInput();
+
     await this.handCursor.init();
 
     // Also allow mouse as fallback
     this._enableMouseFallback();
+  }
+
+  /* ─── Hub Input ─────────────────────────────── */
+  // Torn down while a game runs, rebuilt when it closes
+  _startHubInput() {
+    this.smoothingPanel = new SmoothingPanel(this.handCursor);
+
+    this.input = new InputRouter('hub', {
+      handCursor: this.handCursor,
+      actions: {
+        select: { label: 'Select', bindings: ['gesture:pinch', 'key:Enter', 'pad:0'] },
+        back: { label: 'Back', bindings: ['motion:clap', 'key:Escape', 'pad:1'] },
+        'next-page': { label: 'Next Page', bindings: ['motion:swipe-left', 'key:PageDown', 'pad:5'] },
+        'prev-page': { label: 'Previous Page', bindings: ['motion:swipe-right', 'key:PageUp', 'pad:4'] },
+        left: { label: 'Focus Left', bindings: ['key:ArrowLeft', 'pad:14', 'pad:axis0-'] },
+        right: { label: 'Focus Right', bindings: ['key:ArrowRight', 'pad:15', 'pad:axis0+'] },
+        up: { label: 'Focus Up', bindings: ['key:ArrowUp', 'pad:12', 'pad:axis1-'] },
+        down: { label: 'Focus Down', bindings: ['key:ArrowDown', 'pad:13', 'pad:axis1+'] }
+      }
+    });
+    this.input.on('select', (e) => {
+      if (e.phase === 'press') this._onSelect(e);
+    });
+    this.input.on('back', (e) => {
+      if (e.phase === 'press') this._onBack();
+    });
 
-    // Start update loop
-    this._update();
+    // Pages + focus — swipe like a touch screen: hand to the left = next page
+    const onPress = (fn) => (e) => {
+      if (e.phase === 'press' && this.state === 'ready') fn(e);
+    };
+    this.input.on('next-page', onPress(() => this._turnPage(1)));
+    this.input.on('prev-page', onPress(() => this._turnPage(-1)));
+    this.input.on('left', onPress(() => this._moveFocus(-1, 0)));
+    this.input.on('right', onPress(() => this._moveFocus(1, 0)));
+    this.input.on('up', onPress(() => this._moveFocus(0, -1)));
+    this.input.on('down', onPress(() => this._moveFocus(0, 1)));
+
+    // Hover-and-hold on cards + hub buttons
+    if (this.dwell) {
+      this.dwell.start();
+      return;
+    }
+    this.dwell = new DwellSelector(this.handCursor, {
+      dwellMs: this.HOVER_SELECT_MS,
+      hoverClass: 'hovered',
+      showRing: false,
+      onProgress: (el, progress) => {
+        if (el && el.classList.contains('game-card')) this._setCardProgress(el, progress);
+      }
+    });
+    this._bindDwellTargets();
+    this.dwell.start();
+  }
+
+  /* ─── Dwell Targets ─────────────────────────── */
+  _bindDwellTargets() {
+    const whenReady = () => this.state === 'ready';
+    this.dwell.clear();
+
+    Object.entries(this.hubActions).forEach(([id, action]) => {
+      this.dwell.add(document.getElementById(id), { when: whenReady, onSelect: action });
+    });
+    this.pageControls.forEach((action, el) => {
+      const isArrow = el.classList.contains('page-arrow');
+      this.dwell.add(el, {
+        when: () => whenReady() && !el.classList.contains('disabled'),
+        onSelect: action,
+        dwellMs: isArrow ? this.PAGE_DWELL_MS : undefined,
+        repeat: isArrow
+      });
+    });
+    this._bindCardTargets();
+  }
+
+  // Only the cards on screen — re-run after every page turn or category change.
+  // Arrows and tabs stay registered, so a held arrow keeps paging
+  _bindCardTargets() {
+    if (!this.dwell) return;
+    this.dwell.targets.forEach((config, el) => {
+      if (el.classList.contains('game-card')) this.dwell.remove(el);
+    });
+    this.gameGrid.querySelectorAll('.game-card:not(.coming-soon)').forEach(card => {
+      this.dwell.add(card, { when: () => this.state === 'ready', onSelect: () => this._selectCard(card) });
+    });
   }
 
   /* ─── Render Game Cards ─────────────────────── */
+  // Current page of the current category
   _renderGameCards() {
+    const games = this._categoryGames();
+    const pageCount = Math.max(1, Math.ceil(games.length / this.PAGE_SIZE));
+    this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+
     this.gameGrid.innerHTML = '';
+    this.gameGrid.style.setProperty('--grid-columns', Math.max(1, Math.min(this.PAGE_SIZE, games.length)));
 
-    this.games.forEach((game, index) => {
+    games.slice(this.page * this.PAGE_SIZE, (this.page + 1) * this.PAGE_SIZE).forEach((game, i) => {
+      const index = this.page * this.PAGE_SIZE + i;
       const card = document.createElement('div');
       card.className = 'game-card' + (game.comingSoon ? ' coming-soon' : '');
       card.dataset.gameId = game.id;
@@ -98,9 +359,10 @@ class GamePlatform {
       card.innerHTML = `
         <div class="game-card-glow" style="--card-color: ${game.color}"></div>
         <div class="game-card-inner">
-          <div class="game-emoji">${game.emoji}</div>
-          <div class="game-title">${game.title}</div>
-          <div class="game-desc">${game.description}</div>
+          <div class="game-emoji"></div>
+          <div class="game-title"></div>
+          <div class="game-desc"></div>
+          <div class="game-meta"></div>
           ${game.comingSoon ? '<div class="coming-soon-badge">🔒 COMING SOON</div>' : ''}
           <div class="hover-progress-ring">
             <svg viewBox="0 0 100 100">
@@ -111,6 +373,12 @@ class GamePlatform {
         </div>
       `;
 
+      // Manifest text goes in as text, never as markup
+      card.querySelector('.game-emoji').textContent = game.emoji;
+      card.querySelector('.game-title').textContent = game.title;
+      card.querySelector('.game-desc').textContent = game.description;
+      card.querySelector('.game-meta').textContent = GamePlatform._metaLine(game);
+
       // Mouse click fallback
       card.addEventListener('click', () => {
         if (!game.comingSoon) this._launchGame(game);
@@ -118,52 +386,294 @@ class GamePlatform {
 
       this.gameGrid.appendChild(card);
     });
+
+    this._renderPager(pageCount);
+    this._bindCardTargets();
   }
 
-  /* ─── Cursor Move — Hover Detection ─────────── */
-  _onCursorMove(x, y) {
-    const cards = document.querySelectorAll('.game-card:not(.coming-soon)');
-    let foundHover = null;
-
-    cards.forEach(card => {
-      if (this.handCursor.isOver(card)) {
-        foundHover = card;
-        card.classList.add('hovered');
-      } else {
-        card.classList.remove('hovered');
-      }
+  // "👤 1–2 · ✋ pinch, palm"
+  static _metaLine(game) {
+    const parts = [];
+    if (game.minPlayers) {
+      parts.push(`👤 ${game.minPlayers === game.maxPlayers ? game.minPlayers : `${game.minPlayers}–${game.maxPlayers}`}`);
+    }
+    if (game.gestures && game.gestures.length) parts.push(`✋ ${game.gestures.join(', ')}`);
+    return parts.join(' · ');
+  }
+
+  // Contributors see broken manifests on the hub itself, not only in the console
+  _renderManifestErrors() {
+    const el = document.getElementById('manifest-errors');
+    if (!el || !this.manifestErrors.length) return;
+    el.innerHTML = '<div class="manifest-errors-title">⚠️ SKIPPED GAMES</div>';
+    this.manifestErrors.forEach(msg => {
+      const line = document.createElement('div');
+      line.textContent = msg;
+      el.appendChild(line);
     });
+    el.classList.remove('hidden');
+  }
 
-    // Hover progress tracking
-    if (foundHover !== this.hoveredCard) {
-      // Reset progress on previous card
-      if (this.hoveredCard) {
-        this._setCardProgress(this.hoveredCard, 0);
-      }
-      this.hoveredCard = foundHover;
-      this.hoverStartTime = foundHover ? Date.now() : 0;
-      this.hoverProgress = 0;
+  /* ─── Categories ────────────────────────────── */
+  // ALL + every manifest tag, most used first
+  _renderCategories() {
+    const el = document.getElementById('game-categories');
+    const counts = new Map();
+    this.games.forEach(game => (game.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    const tags = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+
+    this.pageControls.forEach((action, control) => {
+      if (control.classList.contains('category-tab')) this.pageControls.delete(control);
+    });
+    el.innerHTML = '';
+    el.classList.toggle('hidden', !tags.length);
+
+    ['all', ...tags].forEach(tag => {
+      const tab = document.createElement('button');
+      tab.className = 'category-tab' + (tag === this.category ? ' active' : '');
+      tab.dataset.category = tag;
+      tab.textContent = tag === 'all' ? `ALL (${this.games.length})` : `${tag.toUpperCase()} (${counts.get(tag)})`;
+      const action = () => this._setCategory(tag);
+      tab.addEventListener('click', action);
+      this.pageControls.set(tab, action);
+      el.appendChild(tab);
+    });
+  }
+
+  _categoryGames() {
+    if (this.category === 'all') return this.games;
+    return this.games.filter(game => (game.tags || []).includes(this.category));
+  }
+
+  _setCategory(tag) {
+    if (tag === this.category) return;
+    this.category = tag;
+    this.page = 0;
+    document.querySelectorAll('.category-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.category === tag);
+    });
+    this._renderGameCards();
+  }
+
+  /* ─── Pages ─────────────────────────────────── */
+  _bindPager() {
+    [['page-prev', -1], ['page-next', 1]].forEach(([id, step]) => {
+      const arrow = document.getElementById(id);
+      const action = () => this._turnPage(step);
+      arrow.addEventListener('click', action);
+      this.pageControls.set(arrow, action);
+    });
+  }
+
+  // Returns false when there is no page in that direction
+  _turnPage(step) {
+    const pageCount = Math.ceil(this._categoryGames().length / this.PAGE_SIZE);
+    const page = this.page + step;
+    if (page < 0 || page >= pageCount) return false;
+
+    const hadCardFocus = this.focused && this.focused.classList.contains('game-card');
+    this.page = page;
+    this._renderGameCards();
+
+    // Slide in from the side the player is heading to
+    this.gameGrid.classList.remove('slide-next', 'slide-prev');
+    void this.gameGrid.offsetWidth;
+    this.gameGrid.classList.add(step > 0 ? 'slide-next' : 'slide-prev');
+
+    if (hadCardFocus) {
+      const cards = this.gameGrid.querySelectorAll('.game-card:not(.coming-soon)');
+      this._setFocus(step > 0 ? cards[0] : cards[cards.length - 1]);
+    }
+    return true;
+  }
+
+  _renderPager(pageCount) {
+    const single = pageCount <= 1;
+    document.getElementById('page-prev').classList.toggle('disabled', single || this.page === 0);
+    document.getElementById('page-next').classList.toggle('disabled', single || this.page >= pageCount - 1);
+    document.getElementById('game-pager').classList.toggle('single-page', single);
+
+    const dots = document.getElementById('page-dots');
+    dots.innerHTML = '';
+    dots.classList.toggle('hidden', single);
+    for (let i = 0; i < pageCount; i++) {
+      const dot = document.createElement('span');
+      dot.className = 'page-dot' + (i === this.page ? ' active' : '');
+      dots.appendChild(dot);
     }
   }
 
-  /* ─── Pinch Select ──────────────────────────── */
-  _onSelect(x, y) {
+  /* ─── Keyboard / Gamepad Focus ──────────────── */
+  // Hub buttons, category tabs and playable cards — arrows are for hands,
+  // keys turn the page by walking off the end of the row
+  _focusables() {
+    return [
+      ...Object.keys(this.hubActions).map(id => document.getElementById(id)),
+      ...document.querySelectorAll('.category-tab'),
+      ...this.gameGrid.querySelectorAll('.game-card:not(.coming-soon)')
+    ].filter(el => el && el.offsetParent !== null);
+  }
+
+  _setFocus(el) {
+    if (this.focused) this.focused.classList.remove('focused');
+    this.focused = el || null;
+    if (this.focused) this.focused.classList.add('focused');
+  }
+
+  // Nearest element in the pressed direction; off the end of the card row turns the page
+  _moveFocus(dx, dy) {
+    const items = this._focusables();
+    const current = items.includes(this.focused) ? this.focused : null;
+    if (!current) {
+      this._setFocus(this.gameGrid.querySelector('.game-card:not(.coming-soon)') || items[0]);
+      return;
+    }
+
+    const center = (el) => {
+      const r = el.getBoundingClientRect();
+      return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+    };
+    const from = center(current);
+    let best = null;
+    let bestScore = Infinity;
+    items.forEach(el => {
+      if (el === current) return;
+      const to = center(el);
+      const along = (to.x - from.x) * dx + (to.y - from.y) * dy;
+      if (along <= 1) return;
+      const across = Math.abs((to.x - from.x) * dy) + Math.abs((to.y - from.y) * dx);
+      const score = along + across * 2;
+      if (score < bestScore) {
+        best = el;
+        bestScore = score;
+      }
+    });
+
+    const isCard = (el) => el && el.classList.contains('game-card');
+    if (dx && isCard(current) && !isCard(best) && this._turnPage(dx)) return;
+    if (best) this._setFocus(best);
+  }
+
+  /* ─── Select Action ─────────────────────────── */
+  // Pinch picks what the pinching hand is over; keys / pad pick the hovered element
+  _onSelect(e) {
+    if (this.state !== 'ready') return;
+
+    const isTarget = (el) => e.source === 'gesture'
+      ? this.handCursor.isOver(el, e.hand)
+      : el.classList.contains('hovered') || el === this.focused || el === document.activeElement;
+
+    const button = Object.keys(this.hubActions).find(id => isTarget(document.getElementById(id)));
+    if (button) {
+      this.hubActions[button]();
+      return;
+    }
+
+    const control = [...this.pageControls.keys()].find(el => !el.classList.contains('disabled') && isTarget(el));
+    if (control) {
+      this.pageControls.get(control)();
+      return;
+    }
+
     const cards = document.querySelectorAll('.game-card:not(.coming-soon)');
+    const card = [...cards].find(isTarget);
+    if (card) this._selectCard(card);
+  }
 
-    cards.forEach(card => {
-      if (this.handCursor.isOver(card)) {
-        const gameId = card.dataset.gameId;
-        const game = this.games.find(g => g.id === gameId);
-        if (game) {
-          card.classList.add('selected');
-          setTimeout(() => this._launchGame(game), 400);
-        }
+  _selectCard(card) {
+    const game = this.games.find(g => g.id === card.dataset.gameId);
+    if (!game || this.state === 'launching') return;
+    this.state = 'launching';
+    card.classList.add('selected');
+    setTimeout(() => this._launchGame(game), 400);
+  }
+
+  /* ─── Back (clap / Escape) ──────────────────── */
+  _onBack() {
+    if (this.state === 'configuring' && this.cameraPicker) this.cameraPicker.close();
+    else if (this.state === 'calibrating') this.handCursor.cancelCalibration();
+  }
+
+  /* ─── Calibrate Reach ───────────────────────── */
+  async _calibrate() {
+    if (this.state === 'calibrating' || !this.handCursor || !this.handCursor.ready) return;
+
+    const prevState = this.state;
+    this.state = 'calibrating';
+
+    try {
+      await this.handCursor.calibrate();
+      this.statusEl.textContent = '✅ Reach calibrated — every game will use it';
+    } catch (err) {
+      this.statusEl.textContent = '⚠️ ' + err.message;
+    } finally {
+      this.state = prevState;
+    }
+  }
+
+  /* ─── Handedness ────────────────────────────── */
+  // Any hand → right-handed → left-handed; saved for every game
+  _cycleDominantHand() {
+    if (this.state !== 'ready' || !this.handCursor) return;
+    const order = [null, 'right', 'left'];
+    const next = order[(order.indexOf(this.handCursor.dominantHand) + 1) % order.length];
+    this.handCursor.setHandPreference({ dominant: next });
+    this._renderHandButtons();
+    this.statusEl.textContent = next
+      ? `✅ Your ${next} hand drives the cursor in every game`
+      : '✅ Whichever hand comes up first drives the cursor';
+  }
+
+  // Off for rear cameras / external displays where the image isn't flipped
+  _toggleMirror() {
+    if (this.state !== 'ready' || !this.handCursor) return;
+    const { mirror } = this.handCursor.setHandPreference({ mirror: !this.handCursor.mirror });
+    this._renderHandButtons();
+    this.statusEl.textContent = mirror
+      ? '✅ Mirrored — for a camera facing you'
+      : '✅ Not mirrored — for rear cameras and external displays';
+  }
+
+  _renderHandButtons() {
+    const { dominant, mirror } = this.handCursor.getHandPreference();
+    document.getElementById('hand-btn').textContent =
+      dominant === 'right' ? '👉 RIGHT-HANDED' : dominant === 'left' ? '👈 LEFT-HANDED' : '🖐️ ANY HAND';
+    document.getElementById('mirror-btn').textContent = mirror ? '🪞 MIRROR: ON' : '🪞 MIRROR: OFF';
+    HandPreference.applyPreview([document.getElementById('preview-cam')], mirror);
+  }
+
+  /* ─── Gesture Trainer ───────────────────────── */
+  // Its own page (trainer.html) — leave the same way as a game
+  _openTrainer() {
+    if (this.state === 'launching') return;
+    this._launchGame({ emoji: '✋', title: 'GESTURE TRAINER', path: 'trainer.html' });
+  }
+
+  /* ─── Camera Settings ───────────────────────── */
+  _openCameraPicker() {
+    if (this.state !== 'ready' || !this.handCursor || !this.handCursor.ready) return;
+
+    this.state = 'configuring';
+    this.cameraPicker = new CameraPicker(this.handCursor, {
+      onClose: () => {
+        this.cameraPicker = null;
+        this.state = 'ready';
       }
     });
+    this.cameraPicker.open();
   }
 
   /* ─── Launch Game ───────────────────────────── */
+  // The game loads in a frame over the hub; its HandCursor subscribes to
+  // this.shell, so there is no camera / model start-up on the way in
   _launchGame(game) {
+    if (this.gameFrame) return;
+    this.state = 'launching';
+    if (this.dwell) this.dwell.stop();
+    if (this.input) this.input.destroy();
+    if (this.smoothingPanel) this.smoothingPanel.destroy();
+    if (this.handCursor) this.handCursor.pause();
+
     // Transition animation
     document.body.classList.add('launching');
 
@@ -175,33 +685,45 @@ class GamePlatform {
     launchTitle.textContent = game.title;
     overlay.classList.remove('hidden');
 
-    // Cleanup hand tracking before navigating
-    setTimeout(() => {
-      if (this.handCursor) this.handCursor.destroy();
-      window.location.href = game.path;
-    }, 1200);
-  }
-
-  /* ─── Update Loop (hover progress) ──────────── */
-  _update() {
-    if (this.hoveredCard && this.hoverStartTime > 0) {
-      const elapsed = Date.now() - this.hoverStartTime;
-      this.hoverProgress = Math.min(1, elapsed / this.HOVER_SELECT_MS);
-      this._setCardProgress(this.hoveredCard, this.hoverProgress);
-
-      // Auto-select on full hover
-      if (this.hoverProgress >= 1) {
-        this.hoverStartTime = 0;
-        const gameId = this.hoveredCard.dataset.gameId;
-        const game = this.games.find(g => g.id === gameId);
-        if (game) {
-          this.hoveredCard.classList.add('selected');
-          setTimeout(() => this._launchGame(game), 400);
-        }
-      }
-    }
+    const frame = document.createElement('iframe');
+    frame.id = 'game-frame';
+    frame.allow = 'camera; autoplay; fullscreen; gamepad';
+    frame.src = game.path;
+    this.gameFrame = frame;
+
+    // Reveal once the page has loaded and the overlay has had its moment
+    const loaded = new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+    const minDelay = new Promise(resolve => setTimeout(resolve, this.LAUNCH_MIN_MS));
+    Promise.all([loaded, minDelay]).then(() => {
+      if (this.gameFrame !== frame) return;
+      this.state = 'playing';
+      document.body.classList.add('playing');
+      overlay.classList.add('hidden');
+      frame.contentWindow.focus();
+    });
+    document.body.appendChild(frame);
+  }
+
+  /* ─── Close Game ────────────────────────────── */
+  // HandShell.exit() from the game's back button lands here
+  _closeGame() {
+    const frame = this.gameFrame;
+    if (!frame) return;
+    this.gameFrame = null;
 
-    requestAnimationFrame(() => this._update());
+    // Let the game's handler return before its document goes away
+    setTimeout(() => {
+      this.shell.unsubscribeWindow(frame.contentWindow);
+      frame.remove();
+      document.body.classList.remove('launching', 'playing');
+      document.getElementById('launch-overlay').classList.add('hidden');
+      document.querySelectorAll('.game-card').forEach(card => this._setCardProgress(card, 0));
+
+      this.state = this.handCursor && this.handCursor.ready ? 'ready' : 'loading';
+      if (this.handCursor) this.handCursor.resume();
+      this._startHubInput();
+      window.focus();
+    }, 0);
   }
 
   /* ─── Set card hover progress ring ──────────── */
@@ -217,62 +739,27 @@ class GamePlatform {
   }
 
   /* ─── Mouse Fallback ────────────────────────── */
+  // Delegated, so cards rendered by later page turns get it too
   _enableMouseFallback() {
-    const cards = document.querySelectorAll('.game-card:not(.coming-soon)');
-    cards.forEach(card => {
-      card.addEventListener('mouseenter', () => card.classList.add('hovered'));
-      card.addEventListener('mouseleave', () => card.classList.remove('hovered'));
-    });
+    if (this._mouseFallback) return;
+    this._mouseFallback = true;
+    const hover = (e, on) => {
+      const card = e.target.closest('.game-card:not(.coming-soon)');
+      if (card && !card.contains(e.relatedTarget)) card.classList.toggle('hovered', on);
+    };
+    this.gameGrid.addEventListener('mouseover', (e) => hover(e, true));
+    this.gameGrid.addEventListener('mouseout', (e) => hover(e, false));
   }
 }
 
-// ═══ REGISTER GAMES & INIT ═══
+GamePlatform.GAMES_INDEX = 'games/index.json';
+GamePlatform.MANIFEST_KEYS = [
+  'id', 'title', 'emoji', 'description', 'color', 'entry',
+  'gestures', 'minPlayers', 'maxPlayers', 'tags', 'comingSoon'
+];
+
+// ═══ INIT — games come from games/index.json ═══
 document.addEventListener('DOMContentLoaded', () => {
   const platform = new GamePlatform();
-
-  // 🥊 Game 1: Boxing
-  platform.registerGame({
-    id: 'boxing',
-    title: 'KNOCKOUT',
-    emoji: '🥊',
-    description: 'Real hand-tracking boxing! Punch, guard & dodge with your fists.',
-    color: '#ff4400',
-    path: 'games/boxing/index.html',
-    comingSoon: false
-  });
-
-  // 🐦 Game 2: Flappy Finger
-  platform.registerGame({
-    id: 'flappy',
-    title: 'FLAPPY FINGER',
-    emoji: '🐦',
-    description: 'Fly through pipes by pointing your finger up and down!',
-    color: '#44cc88',
-    path: 'games/flappy/index.html',
-    comingSoon: false
-  });
-
-  // 🌌 Game 3: Particle Forge
-  platform.registerGame({
-    id: '3d-play',
-    title: 'PARTICLE FORGE',
-    emoji: '🌌',
-    description: 'Manipulate 20K particles into 9 shapes with your hands!',
-    color: '#8844ff',
-    path: 'games/3d-play/index.html',
-    comingSoon: false
-  });
-
-  // 🍉 Game 4: Fruit Ninja
-  platform.registerGame({
-    id: 'fruit-ninja',
-    title: 'FRUIT NINJA',
-    emoji: '🍉',
-    description: 'Slice flying fruits with your finger swipe! Avoid bombs!',
-    color: '#ff4400',
-    path: 'games/fruit-ninja/index.html',
-    comingSoon: true
-  });
-
   platform.init();
 });
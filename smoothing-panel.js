@@ -0,0 +1,144 @@
+/* ═══════════════════════════════════════════════════════════
+   🎚️ SMOOTHING PANEL — Live One-Euro tuning for HandCursor
+   F4 (by default) toggles a corner panel: preset buttons,
+   minCutoff / beta sliders, auto-tune (hold your hand still)
+   and reset to the game's preset. Changes apply instantly and
+   are saved for the current page (HandSmoothing).
+   Load after hand-detector.js, hand-tracker.js
+   ═══════════════════════════════════════════════════════════ */
+
+class SmoothingPanel {
+  constructor(handCursor, options = {}) {
+    this.handCursor = handCursor;
+    this.toggleKey = options.toggleKey !== undefined ? options.toggleKey : 'F4';
+
+    this.el = null;
+    this.statusEl = null;
+    this.isOpen = false;
+    this._unsubscribe = null;
+    this._onKey = (e) => {
+      if (e.code === this.toggleKey) this.toggle();
+    };
+    if (this.toggleKey) window.addEventListener('keydown', this._onKey);
+  }
+
+  /* ─── Open / Close ──────────────────────────── */
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this._createPanel();
+    this._unsubscribe = this.handCursor.on('smoothingchange', () => this._render());
+    this._render();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.handCursor.cancelAutoTune();
+    if (this._unsubscribe) this._unsubscribe();
+    if (this.el) this.el.remove();
+    this._unsubscribe = null;
+    this.el = null;
+    this.statusEl = null;
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  /* ─── DOM ───────────────────────────────────── */
+  _createPanel() {
+    this.el = document.createElement('div');
+    this.el.id = 'smoothing-panel';
+    this.el.style.cssText = `
+      position: fixed; top: 8px; right: 8px; z-index: 10001; width: 260px;
+      padding: 12px 14px; border-radius: 10px;
+      background: rgba(0, 0, 0, 0.8); color: #fff;
+      font: 12px/1.5 ui-monospace, Menlo, Consolas, monospace;
+    `;
+    this.el.innerHTML = `
+      <div style="font-weight:700;letter-spacing:2px;margin-bottom:8px">🎚️ SMOOTHING <span style="opacity:.5">(${this.toggleKey || ''})</span></div>
+      <div class="smoothing-presets" style="display:flex;gap:6px;margin-bottom:10px"></div>
+      <label style="display:block">minCutoff <span class="smoothing-value" data-param="minCutoff"></span> Hz
+        <input type="range" data-param="minCutoff" min="0.1" max="5" step="0.05" style="width:100%"></label>
+      <label style="display:block">beta <span class="smoothing-value" data-param="beta"></span>
+        <input type="range" data-param="beta" min="-3" max="1" step="0.05" style="width:100%"></label>
+      <div style="display:flex;gap:6px;margin-top:8px">
+        <button class="smoothing-autotune">✋ AUTO-TUNE</button>
+        <button class="smoothing-reset">↺ RESET</button>
+      </div>
+      <div class="smoothing-status" style="margin-top:8px;color:rgba(255,255,255,.6)">
+        Low minCutoff = steadier, high beta = less lag when moving</div>
+    `;
+
+    const presets = this.el.querySelector('.smoothing-presets');
+    Object.keys(HandSmoothing.PRESETS).forEach(name => {
+      const button = document.createElement('button');
+      button.textContent = name.toUpperCase();
+      button.dataset.preset = name;
+      button.addEventListener('click', () => this.handCursor.setSmoothing(name));
+      presets.appendChild(button);
+    });
+    this.el.querySelectorAll('button').forEach(button => {
+      button.style.cssText = `
+        flex: 1; font: inherit; font-size: 11px; color: #fff; cursor: pointer;
+        padding: 5px 4px; border-radius: 6px;
+        background: rgba(255,255,255,.08); border: 1px solid rgba(255,255,255,.2);
+      `;
+    });
+
+    // beta spans several orders of magnitude — its slider is log10
+    this.el.querySelectorAll('input[type=range]').forEach(input => {
+      input.addEventListener('input', () => {
+        const value = input.dataset.param === 'beta' ? 10 ** Number(input.value) : Number(input.value);
+        const { minCutoff, beta, dCutoff } = this.handCursor.getSmoothing();
+        this.handCursor.setSmoothing(Object.assign({ minCutoff, beta, dCutoff }, { [input.dataset.param]: value }));
+      });
+    });
+
+    this.el.querySelector('.smoothing-autotune').addEventListener('click', () => this._autoTune());
+    this.el.querySelector('.smoothing-reset').addEventListener('click', () => {
+      this.handCursor.resetSmoothing();
+      this.statusEl.textContent = `Back to "${this.handCursor.smoothingPreset}"`;
+    });
+    this.statusEl = this.el.querySelector('.smoothing-status');
+    document.body.appendChild(this.el);
+  }
+
+  _render() {
+    if (!this.el) return;
+    const s = this.handCursor.getSmoothing();
+    this.el.querySelectorAll('[data-preset]').forEach(button => {
+      const selected = button.dataset.preset === s.preset;
+      button.style.borderColor = selected ? 'rgba(255,200,50,.9)' : 'rgba(255,255,255,.2)';
+      button.style.background = selected ? 'rgba(255,200,50,.2)' : 'rgba(255,255,255,.08)';
+    });
+    this.el.querySelector('input[data-param=minCutoff]').value = s.minCutoff;
+    this.el.querySelector('input[data-param=beta]').value = Math.log10(Math.max(s.beta, 0.001));
+    this.el.querySelector('.smoothing-value[data-param=minCutoff]').textContent = s.minCutoff.toFixed(2);
+    this.el.querySelector('.smoothing-value[data-param=beta]').textContent = s.beta.toFixed(3);
+  }
+
+  /* ─── Auto-Tune ─────────────────────────────── */
+  async _autoTune() {
+    this.statusEl.textContent = '✋ Hold your hand still...';
+    try {
+      const { noise, rate } = await this.handCursor.autoTuneSmoothing({
+        onProgress: (p) => {
+          if (this.statusEl) this.statusEl.textContent = `✋ Hold still... ${Math.round(p * 100)}%`;
+        }
+      });
+      if (this.statusEl) {
+        this.statusEl.textContent = `✅ Jitter ${(noise * window.innerWidth).toFixed(1)} px @ ${Math.round(rate)} FPS — saved`;
+      }
+    } catch (err) {
+      if (this.statusEl) this.statusEl.textContent = '❌ ' + err.message;
+    }
+  }
+
+  destroy() {
+    this.close();
+    if (this.toggleKey) window.removeEventListener('keydown', this._onKey);
+  }
+}
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadScripts, ROOT } = require('./load-scripts');
+
+const GamePlatform = loadScripts(['platform.js'])('GamePlatform');
+
+const valid = () => ({
+  id: 'snake',
+  title: 'Snake',
+  emoji: '🐍',
+  description: 'Steer with your finger',
+  color: '#44cc88',
+  entry: 'index.html',
+  gestures: ['point'],
+  minPlayers: 1,
+  maxPlayers: 2,
+  tags: ['arcade']
+});
+
+test('every shipped game manifest is valid', () => {
+  const { games } = JSON.parse(fs.readFileSync(path.join(ROOT, 'games/index.json'), 'utf8'));
+  assert.ok(games.length > 0);
+  games.forEach(id => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'games', id, 'manifest.json'), 'utf8'));
+    assert.deepEqual([...GamePlatform.validateManifest(manifest, id)], [], id);
+  });
+});
+
+test('a complete manifest has no errors', () => {
+  assert.equal(GamePlatform.validateManifest(valid(), 'snake').length, 0);
+  assert.equal(GamePlatform.validateManifest(Object.assign(valid(), { comingSoon: true }), 'snake').length, 0);
+});
+
+test('the id must be a slug that matches its folder', () => {
+  assert.match(GamePlatform.validateManifest(Object.assign(valid(), { id: 'Snake Game' }), 'snake')[0], /"id" must be lowercase/);
+  assert.match(GamePlatform.validateManifest(valid(), 'worm')[0], /"id" is "snake" but the folder is "worm"/);
+});
+
+test('entry must stay inside the game folder', () => {
+  ['../hub.html', '/index.html', 'https://example.com/index.html', 'main.js'].forEach(entry => {
+    const errors = GamePlatform.validateManifest(Object.assign(valid(), { entry }), 'snake');
+    assert.equal(errors.length, 1, entry);
+    assert.match(errors[0], /"entry"/);
+  });
+  assert.equal(GamePlatform.validateManifest(Object.assign(valid(), { entry: 'play/index.htm' }), 'snake').length, 0);
+});
+
+test('each bad field is reported', () => {
+  const errors = GamePlatform.validateManifest(Object.assign(valid(), {
+    title: ' ', color: 'green', gestures: 'pinch', minPlayers: 0, maxPlayers: 1.5, tags: [1], comingSoon: 'yes', author: 'me'
+  }), 'snake');
+  ['"title"', '"color"', '"gestures"', '"minPlayers"', '"maxPlayers"', '"tags"', '"comingSoon"', 'unknown field "author"']
+    .forEach((field, i) => assert.ok(errors[i].includes(field), `${field} in ${errors[i]}`));
+  assert.equal(errors.length, 8);
+});
+
+test('maxPlayers may not be below minPlayers', () => {
+  const errors = GamePlatform.validateManifest(Object.assign(valid(), { minPlayers: 3, maxPlayers: 2 }), 'snake');
+  assert.deepEqual([...errors], ['"maxPlayers" must be a whole number ≥ minPlayers']);
+});
+
+test('anything but an object is rejected outright', () => {
+  [null, [], 'snake', 3].forEach(manifest => {
+    assert.deepEqual([...GamePlatform.validateManifest(manifest, 'snake')], ['must be a JSON object']);
+  });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const GestureClassifier = loadScripts(['gesture-classifier.js'])('GestureClassifier');
+
+// A right hand facing the camera, wrist at (0.5, 0.8), in image coords (aspect 1).
+// curl 0 = fingers straight up, 1 = tips folded back onto the knuckles
+function hand(curl = 0) {
+  const points = [{ x: 0, y: 0 }];
+  const bases = [-0.08, -0.04, 0, 0.04];
+  points.push({ x: -0.05, y: -0.03 }, { x: -0.08, y: -0.06 }, { x: -0.1, y: -0.09 }, { x: -0.11, y: -0.12 });
+  bases.forEach(x => {
+    for (let joint = 0; joint < 4; joint++) {
+      const reach = joint === 0 ? 0.1 : 0.1 + joint * 0.04 * (1 - 2 * curl);
+      points.push({ x, y: -reach });
+    }
+  });
+  return points.map(p => ({ x: 0.5 + p.x, y: 0.8 + p.y, z: 0 }));
+}
+
+// Same pose moved, scaled about the wrist, rotated in the image plane
+function transform(landmarks, { dx = 0, dy = 0, scale = 1, angle = 0 } = {}) {
+  const wrist = landmarks[0];
+  const cos = Math.cos(angle), sin = Math.sin(angle);
+  return landmarks.map(p => {
+    const x = (p.x - wrist.x) * scale, y = (p.y - wrist.y) * scale;
+    return { x: wrist.x + dx + x * cos - y * sin, y: wrist.y + dy + x * sin + y * cos, z: p.z };
+  });
+}
+
+const mirror = landmarks => landmarks.map(p => ({ x: 1 - p.x, y: p.y, z: p.z }));
+
+function assertClose(a, b) {
+  assert.equal(a.length, b.length);
+  a.forEach((v, i) => assert.ok(Math.abs(v - b[i]) < 1e-9, `feature ${i}: ${v} vs ${b[i]}`));
+}
+
+test('normalize drops translation, scale and rotation', () => {
+  const base = GestureClassifier.normalize(hand(), { aspect: 1 });
+  assert.equal(base.length, 40);
+  assertClose(GestureClassifier.normalize(transform(hand(), { dx: 0.2, dy: -0.1, scale: 1.7, angle: 0.6 }), { aspect: 1 }), base);
+});
+
+test('normalize maps a left hand onto the right-hand features', () => {
+  const right = GestureClassifier.normalize(hand(), { aspect: 1 });
+  assertClose(GestureClassifier.normalize(mirror(hand()), { hand: 'left', aspect: 1 }), right);
+});
+
+test('normalize undoes the video aspect ratio', () => {
+  const square = GestureClassifier.normalize(hand(), { aspect: 1 });
+  const wide = hand().map(p => ({ x: 0.5 + (p.x - 0.5) * 9 / 16, y: p.y, z: 0 }));
+  assertClose(GestureClassifier.normalize(wide, { aspect: 16 / 9 }), square);
+});
+
+test('classify picks the nearest trained pose', () => {
+  const classifier = new GestureClassifier();
+  [0, 0.05].forEach(c => classifier.addSample('open', hand(c), { aspect: 1 }));
+  [1, 0.95].forEach(c => classifier.addSample('fist', hand(c), { aspect: 1 }));
+
+  const open = classifier.classify(transform(hand(0.02), { scale: 1.3, angle: -0.4 }), { aspect: 1 });
+  assert.equal(open.label, 'open');
+  assert.ok(open.scores.open > open.scores.fist);
+
+  const fist = classifier.classify(mirror(hand(0.98)), { hand: 'left', aspect: 1 });
+  assert.equal(fist.label, 'fist');
+  assert.ok(Math.abs(fist.scores.open + fist.scores.fist - 1) < 1e-9);
+});
+
+test('classify returns no label when nothing is within maxDistance', () => {
+  const classifier = new GestureClassifier({ maxDistance: 0.05 });
+  classifier.addSample('open', hand(0), { aspect: 1 });
+  const result = classifier.classify(hand(1), { aspect: 1 });
+  assert.equal(result.label, null);
+  assert.equal(result.confidence, 0);
+  assert.ok(result.distance > 0.05);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const HandPinch = loadScripts(['hand-pinch.js'])('HandPinch');
+
+// Wrist → middle MCP is 0.1 (one hand size); thumb and index tips `gap` hand sizes apart
+function landmarks(gap) {
+  const points = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  points[0] = { x: 0.5, y: 0.6, z: 0 };
+  points[9] = { x: 0.5, y: 0.5, z: 0 };
+  points[4] = { x: 0.5, y: 0.4, z: 0 };
+  points[8] = { x: 0.5 + gap * 0.1, y: 0.4, z: 0 };
+  return points;
+}
+
+// Landmarks whose raw amount is `amount`
+const at = amount => landmarks(HandPinch.toRatio(amount));
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≉ ${expected}`);
+
+test('amount ramps from open to closed in hand sizes', () => {
+  assert.equal(HandPinch.amount(landmarks(HandPinch.OPEN_RATIO)), 0);
+  assert.equal(HandPinch.amount(landmarks(2)), 0);
+  near(HandPinch.amount(landmarks(HandPinch.CLOSED_RATIO)), 1);
+  assert.equal(HandPinch.amount(landmarks(0)), 1);
+  near(HandPinch.fromRatio(HandPinch.toRatio(0.3)), 0.3);
+});
+
+test('press and release thresholds give hysteresis', () => {
+  const pinch = new HandPinch({ smoothing: 0 });
+  const between = (HandPinch.PRESS + HandPinch.RELEASE) / 2;
+
+  assert.equal(pinch.update(at(between)), false);
+  assert.equal(pinch.pressed, false);
+  assert.equal(pinch.update(at(HandPinch.PRESS + 0.01)), true);
+  assert.equal(pinch.pressed, true);
+  // Dipping below press but above release keeps it held
+  assert.equal(pinch.update(at(between)), false);
+  assert.equal(pinch.pressed, true);
+  assert.equal(pinch.update(at(HandPinch.RELEASE - 0.01)), true);
+  assert.equal(pinch.pressed, false);
+  assert.equal(pinch.update(at(between)), false);
+  assert.equal(pinch.pressed, false);
+});
+
+test('smoothing keeps a one-frame spike from pressing', () => {
+  const pinch = new HandPinch();
+  pinch.update(at(0));
+  assert.equal(pinch.update(at(1)), false);
+  near(pinch.amount, HandPinch.smooth(0, 1));
+  pinch.update(at(1));
+  pinch.update(at(1));
+  assert.equal(pinch.pressed, true);
+  pinch.reset();
+  assert.equal(pinch.pressed, false);
+  assert.equal(pinch.amount, 0);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const lookup = loadScripts(['hand-smoothing.js']);
+const HandSmoothing = lookup('HandSmoothing');
+const OneEuroFilter = lookup('OneEuroFilter');
+
+const ORDER = ['precise', 'balanced', 'responsive'];
+
+// minCutoff steps ~2× per preset and beta ~3× (see the PRESETS comment)
+test('presets step evenly from precise to responsive', () => {
+  const presets = ORDER.map(name => HandSmoothing.PRESETS[name]);
+  for (let i = 1; i < presets.length; i++) {
+    const cutoffStep = presets[i].minCutoff / presets[i - 1].minCutoff;
+    const betaStep = presets[i].beta / presets[i - 1].beta;
+    assert.ok(cutoffStep > 1.5 && cutoffStep < 3, `${ORDER[i]} minCutoff ×${cutoffStep}`);
+    assert.ok(betaStep > 2 && betaStep < 4, `${ORDER[i]} beta ×${betaStep}`);
+  }
+});
+
+test('preset values stay within the auto-tune range', () => {
+  const tune = HandSmoothing.TUNE;
+  const maxBeta = (tune.movingCutoff - tune.minCutoff) / tune.movingSpeed;
+  ORDER.forEach(name => {
+    const { minCutoff, beta, dCutoff } = HandSmoothing.PRESETS[name];
+    assert.ok(minCutoff >= tune.minCutoff && minCutoff <= tune.maxCutoff, `${name} minCutoff`);
+    assert.ok(beta > 0 && beta < maxBeta, `${name} beta`);
+    assert.equal(dCutoff, 1.0);
+  });
+});
+
+test('resolve accepts preset names and partial params', () => {
+  assert.equal(HandSmoothing.resolve('precise').preset, 'precise');
+  assert.equal(HandSmoothing.resolve().minCutoff, HandSmoothing.PRESETS.balanced.minCutoff);
+  const custom = HandSmoothing.resolve({ beta: 0.01 });
+  assert.equal(custom.preset, null);
+  assert.equal(custom.beta, 0.01);
+  assert.equal(custom.minCutoff, HandSmoothing.PRESETS.balanced.minCutoff);
+  assert.throws(() => HandSmoothing.resolve('jittery'), /Unknown smoothing preset/);
+});
+
+test('saved tuning beats the preset a page asks for', () => {
+  assert.equal(HandSmoothing.forPage('responsive', '/game').preset, 'responsive');
+  HandSmoothing.save('/game', { minCutoff: 0.8, beta: 0.004 });
+  assert.equal(HandSmoothing.forPage('responsive', '/game').minCutoff, 0.8);
+  HandSmoothing.save('/game', null);
+  assert.equal(HandSmoothing.forPage('responsive', '/game').preset, 'responsive');
+});
+
+test('fromNoise keeps the cutoff within the tune limits', () => {
+  const tune = HandSmoothing.TUNE;
+  const noisy = HandSmoothing.fromNoise(0.05, 30);
+  const clean = HandSmoothing.fromNoise(0.0001, 30);
+  assert.equal(noisy.minCutoff, tune.minCutoff);
+  assert.equal(clean.minCutoff, tune.maxCutoff);
+  [noisy, clean].forEach(p => assert.ok(Math.abs(p.minCutoff + p.beta * tune.movingSpeed - tune.movingCutoff) < 1e-9));
+});
+
+test('the filter passes the first sample, then settles on a steady input', () => {
+  const filter = HandSmoothing.createFilter();
+  assert.ok(filter instanceof OneEuroFilter);
+  assert.equal(filter.filter(0.2, 0), 0.2);
+  let x = 0;
+  for (let i = 1; i <= 120; i++) x = filter.filter(0.8, i / 60);
+  assert.ok(Math.abs(x - 0.8) < 1e-3);
+  filter.reset();
+  assert.equal(filter.filter(0.1, 5), 0.1);
+});
+
+test('more smoothing means more lag on the same step', () => {
+  const step = name => {
+    const filter = HandSmoothing.createFilter(HandSmoothing.PRESETS[name]);
+    filter.filter(0, 0);
+    return filter.filter(1, 1 / 60);
+  };
+  const moved = ORDER.map(step);
+  assert.ok(moved[0] < moved[1] && moved[1] < moved[2], moved.join(' < '));
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const load = () => loadScripts(['input-router.js'])('InputRouter');
+
+// Just enough HandCursor for the router: events, hands and the pinch release threshold
+function fakeCursor() {
+  const listeners = new Map();
+  const hands = { left: { id: 'left', visible: false, pinchAmount: 0 }, right: { id: 'right', visible: false, pinchAmount: 0 } };
+  return {
+    PINCH_RELEASE: 0.65,
+    hands,
+    on(type, fn) {
+      listeners.set(type, fn);
+      return () => listeners.delete(type);
+    },
+    emit(type, event) {
+      listeners.get(type)(Object.assign({ x: 0.5, y: 0.5, timestamp: 0 }, event));
+    },
+    getHand: id => hands[id],
+    getVisibleHands: () => Object.values(hands).filter(h => h.visible)
+  };
+}
+
+function setup(actions) {
+  const InputRouter = load();
+  const target = new EventTarget();
+  const handCursor = fakeCursor();
+  const router = new InputRouter('test', { target, handCursor, actions });
+  const events = [];
+  router.on('*', e => events.push(`${e.action}:${e.phase}:${e.binding}`));
+  const dom = (type, props) => target.dispatchEvent(Object.assign(new Event(type), props));
+  return { router, handCursor, events, dom };
+}
+
+test('key and mouse events map to key:<code> and mouse:<button> bindings', () => {
+  const { router, events, dom } = setup({
+    jump: { bindings: ['key:Space'] },
+    fire: { bindings: ['mouse:right'] }
+  });
+  dom('keydown', { code: 'Space' });
+  assert.equal(router.isActive('jump'), true);
+  dom('keyup', { code: 'Space' });
+  dom('mousedown', { button: 2, clientX: 640, clientY: 360 });
+  dom('mousedown', { button: 0, clientX: 0, clientY: 0 });
+  assert.deepEqual(events, ['jump:press:key:Space', 'jump:release:key:Space', 'fire:press:mouse:right']);
+  assert.equal(router.isActive('jump'), false);
+  assert.equal(router.isActive('fire'), true);
+});
+
+test('gesture bindings match any hand or one hand with @', () => {
+  const { router, handCursor, events } = setup({
+    grab: { bindings: ['gesture:fist'] },
+    shield: { bindings: ['gesture:fist@left'] }
+  });
+  handCursor.emit('gesturestart', { hand: 'right', gesture: 'fist' });
+  assert.equal(router.isActive('grab'), true);
+  assert.equal(router.isActive('shield'), false);
+  handCursor.emit('gesturestart', { hand: 'left', gesture: 'fist' });
+  assert.equal(router.isActive('shield'), true);
+  assert.deepEqual(events, ['grab:press:gesture:fist', 'shield:press:gesture:fist@left', 'grab:press:gesture:fist']);
+});
+
+test('a binding stays held until every hand holding it lets go', () => {
+  const { router, handCursor, events } = setup({ grab: { bindings: ['gesture:pinch'] } });
+  handCursor.emit('gesturestart', { hand: 'left', gesture: 'pinch' });
+  handCursor.emit('gesturestart', { hand: 'right', gesture: 'pinch' });
+  handCursor.emit('gestureend', { hand: 'left', gesture: 'pinch' });
+  assert.equal(router.isActive('grab'), true);
+  assert.ok(!events.includes('grab:release:gesture:pinch'));
+  handCursor.emit('gestureend', { hand: 'right', gesture: 'pinch' });
+  assert.equal(router.isActive('grab'), false);
+  assert.equal(events.filter(e => e === 'grab:release:gesture:pinch').length, 1);
+});
+
+test('motion and finger-count bindings fire once and are never held', () => {
+  const { router, handCursor, events } = setup({
+    next: { bindings: ['motion:swipe-left'] },
+    three: { bindings: ['fingers:3'] }
+  });
+  handCursor.emit('motion', { hand: 'right', gesture: 'swipe-left' });
+  handCursor.emit('fingercount', { hand: 'right', count: 3 });
+  assert.deepEqual(events, ['next:press:motion:swipe-left', 'three:press:fingers:3']);
+  assert.equal(router.isActive('next'), false);
+  assert.equal(router.isActive('three'), false);
+});
+
+test('pinch bindings report an analog value above the release threshold', () => {
+  const { router, handCursor } = setup({ grab: { bindings: ['gesture:pinch', 'key:KeyG'] } });
+  Object.assign(handCursor.hands.right, { visible: true, pinchAmount: 0.825 });
+  handCursor.emit('gesturestart', { hand: 'right', gesture: 'pinch' });
+  assert.ok(Math.abs(router.getValue('grab') - 0.5) < 1e-9);
+  handCursor.emit('gestureend', { hand: 'right', gesture: 'pinch' });
+  assert.equal(router.getValue('grab'), 0);
+});
+
+test('binding capture ignores the input that opened it', async () => {
+  const { router, handCursor, dom } = setup({ grab: { bindings: ['gesture:pinch'] } });
+  handCursor.emit('gesturestart', { hand: 'right', gesture: 'pinch' });
+  let captured = null;
+  router.captureBinding().then(binding => { captured = binding; });
+
+  // Still the opening pinch (other hand joins it) — not a new binding
+  handCursor.emit('gesturestart', { hand: 'left', gesture: 'pinch' });
+  await Promise.resolve();
+  assert.equal(captured, null);
+
+  handCursor.emit('gestureend', { hand: 'left', gesture: 'pinch' });
+  handCursor.emit('gestureend', { hand: 'right', gesture: 'pinch' });
+  dom('keydown', { code: 'KeyA' });
+  await Promise.resolve();
+  assert.equal(captured, 'key:KeyA');
+});
+
+test('rebinding overrides the defaults until reset', () => {
+  const { router } = setup({ jump: { bindings: ['key:Space'] } });
+  router.setBindings('jump', ['key:KeyW']);
+  assert.deepEqual([...router.getBindings('jump')], ['key:KeyW']);
+  assert.throws(() => router.setBindings('fly', []), /Unknown action/);
+  router.resetBindings();
+  assert.deepEqual([...router.getBindings('jump')], ['key:Space']);
+});
@@ -0,0 +1,52 @@
+/* ═══════════════════════════════════════════════════════════
+   🧪 LOAD SCRIPTS — Browser-global scripts in a node vm
+   The modules are plain <script> files that define classes
+   on the page's global scope. This loads a list of them into
+   one vm context with just the browser APIs they touch at
+   load / construction time (window events, localStorage,
+   location, rAF), then hands back a lookup for their globals.
+   ═══════════════════════════════════════════════════════════ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: key => { items.delete(key); },
+    clear: () => items.clear()
+  };
+}
+
+// files: paths from the repo root, loaded in order like <script> tags.
+// Returns name → global (class or value defined by the scripts)
+function loadScripts(files, { search = '' } = {}) {
+  const window = new EventTarget();
+  Object.assign(window, { location: { search, pathname: '/' }, innerWidth: 1280, innerHeight: 720 });
+  const context = vm.createContext({
+    window,
+    document: new EventTarget(),
+    navigator: {},
+    localStorage: createStorage(),
+    performance,
+    console,
+    Event,
+    EventTarget,
+    URLSearchParams,
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+    queueMicrotask
+  });
+  files.forEach(file => {
+    const filename = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+  return name => vm.runInContext(name, context);
+}
+
+module.exports = { loadScripts, ROOT };
@@ -0,0 +1,143 @@
+/* ═══════════════════════════════════════════════════════════
+   📶 TRACKING QUALITY — Is it the machine or the lighting?
+   Feeds HandCursor's quality event and diagnostics overlay.
+   Load before hand-tracker.js
+   ═══════════════════════════════════════════════════════════ */
+
+// ═══════════════════════════════════════
+//  TRACKING QUALITY
+//  Rolling window over detector output.
+//  fps + latency say "slow machine";
+//  confidence, jitter + dropouts say
+//  "hard to see the hand" (light, framing).
+// ═══════════════════════════════════════
+class TrackingQuality {
+  constructor(thresholds = {}) {
+    this.thresholds = Object.assign({}, TrackingQuality.THRESHOLDS, thresholds);
+    this.frames = [];          // { t, latency, tracked, missed } within WINDOW_MS
+    this.hands = {};           // id → { confidence, jitter, prev, prev2 }
+    this.level = 'good';       // 'good' | 'ok' | 'poor'
+    this.issues = [];
+    this.startTime = null;
+  }
+
+  // One call per detector result. hands: [{ id, visible, coasting, confidence, x, y }]
+  // with x / y the unfiltered cursor position in px.
+  addFrame(timestamp, latency, hands) {
+    if (this.startTime === null) this.startTime = timestamp;
+    let tracked = 0, missed = 0;
+
+    hands.forEach(h => {
+      const s = this.hands[h.id] || (this.hands[h.id] = { confidence: null, jitter: null, prev: null, prev2: null });
+      if (!h.visible) {
+        Object.assign(s, { confidence: null, jitter: null, prev: null, prev2: null });
+        return;
+      }
+      tracked++;
+      if (h.coasting) {
+        missed++;
+        s.prev = s.prev2 = null;
+        return;
+      }
+      s.confidence = s.confidence === null ? h.confidence : s.confidence * 0.9 + h.confidence * 0.1;
+      if (s.prev && s.prev2) {
+        // Second difference is ~0 for steady motion, so what's left is frame-to-frame noise
+        const j = Math.hypot(h.x - 2 * s.prev.x + s.prev2.x, h.y - 2 * s.prev.y + s.prev2.y);
+        s.jitter = s.jitter === null ? j : s.jitter * 0.9 + j * 0.1;
+      }
+      s.prev2 = s.prev;
+      s.prev = { x: h.x, y: h.y };
+    });
+
+    this.frames.push({ t: timestamp, latency, tracked, missed });
+    this._trim(timestamp);
+  }
+
+  _trim(now) {
+    const cutoff = now - TrackingQuality.WINDOW_MS;
+    while (this.frames.length && this.frames[0].t < cutoff) this.frames.shift();
+  }
+
+  snapshot() {
+    const frames = this.frames;
+    const sum = key => frames.reduce((total, f) => total + f[key], 0);
+    const timed = frames.filter(f => f.latency !== null);
+    const tracked = sum('tracked');
+
+    const hands = {};
+    Object.entries(this.hands).forEach(([id, s]) => {
+      if (s.confidence !== null) hands[id] = { confidence: s.confidence, jitter: s.jitter };
+    });
+    const seen = Object.values(hands);
+    const jitters = seen.map(h => h.jitter).filter(j => j !== null);
+
+    return {
+      fps: frames.length * 1000 / TrackingQuality.WINDOW_MS,
+      latency: timed.length ? timed.reduce((total, f) => total + f.latency, 0) / timed.length : null,
+      confidence: seen.length ? Math.min(...seen.map(h => h.confidence)) : null,
+      jitter: jitters.length ? Math.max(...jitters) : null,
+      dropoutRate: tracked ? sum('missed') / tracked : null,
+      hands,
+      level: this.level,
+      issues: [...this.issues],
+      cause: TrackingQuality.cause(this.issues)
+    };
+  }
+
+  // Re-rates the window; returns true when the level or the issue list changed
+  evaluate(now) {
+    this._trim(now);
+    if (this.startTime === null || now - this.startTime < TrackingQuality.WINDOW_MS) return false;
+
+    const T = this.thresholds;
+    const s = this.snapshot();
+    const issues = [];
+    if (s.fps < T.minFps) issues.push('low-fps');
+    if (s.latency !== null && s.latency > T.maxLatencyMs) issues.push('slow-inference');
+    if (s.confidence !== null && s.confidence < T.minConfidence) issues.push('low-confidence');
+    if (s.jitter !== null && s.jitter > T.maxJitterPx) issues.push('jitter');
+    if (s.dropoutRate !== null && s.dropoutRate > T.maxDropoutRate) issues.push('dropouts');
+
+    const level = !issues.length ? 'good' : issues.length === 1 ? 'ok' : 'poor';
+    if (level === this.level && issues.join() === this.issues.join()) return false;
+    this.level = level;
+    this.issues = issues;
+    return true;
+  }
+
+  // 'performance' (slow machine), 'tracking' (lighting / framing), 'both' or null
+  static cause(issues) {
+    const perf = issues.some(i => TrackingQuality.ISSUES[i] === 'performance');
+    const tracking = issues.some(i => TrackingQuality.ISSUES[i] === 'tracking');
+    return perf && tracking ? 'both' : perf ? 'performance' : tracking ? 'tracking' : null;
+  }
+
+  reset() {
+    this.frames = [];
+    this.hands = {};
+    this.level = 'good';
+    this.issues = [];
+    this.startTime = null;
+  }
+}
+
+TrackingQuality.WINDOW_MS = 2000;
+TrackingQuality.THRESHOLDS = {
+  minFps: 20,              // detections per second
+  maxLatencyMs: 60,        // frame handed to the detector → landmarks back
+  minConfidence: 0.8,      // MediaPipe handedness score, smoothed
+  maxJitterPx: 6,          // unfiltered cursor noise per frame
+  maxDropoutRate: 0.15     // share of tracked-hand frames that had to coast
+};
+TrackingQuality.ISSUES = {
+  'low-fps': 'performance',
+  'slow-inference': 'performance',
+  'low-confidence': 'tracking',
+  'jitter': 'tracking',
+  'dropouts': 'tracking'
+};
+TrackingQuality.HINTS = {
+  performance: 'Slow machine: try ?handWorker or a lower camera resolution',
+  tracking: 'Hand hard to see: add light, face the camera, keep the hand in frame',
+  both: 'Slow machine and hand hard to see: check lighting first, then resolution'
+};
@@ -0,0 +1,213 @@
+/* ═══════════════════════════════════════════════════════════
+   ✋ GESTURE TRAINER — Record poses for GestureClassifier
+   Name a pose, hold it through a short countdown and the
+   primary hand is sampled for a couple of seconds. Poses are
+   saved in localStorage and classified live, so you can check
+   them before any game registers them.
+   ═══════════════════════════════════════════════════════════ */
+
+(function () {
+  'use strict';
+
+  // ═══ CONSTANTS ═══
+  const COUNTDOWN_MS = 3000;
+  const RECORD_MS = 2000;
+  const SAMPLE_INTERVAL_MS = 100;    // ~20 samples per recording
+  const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+  // ═══ DOM ═══
+  const statusEl = document.getElementById('trainer-status');
+  const video = document.getElementById('trainer-cam');
+  const skeletonCanvas = document.getElementById('trainer-skeleton');
+  const countdownEl = document.getElementById('countdown');
+  const predictionLabel = document.querySelector('.prediction-label');
+  const predictionDetail = document.querySelector('.prediction-detail');
+  const nameInput = document.getElementById('gesture-name');
+  const recordBtn = document.getElementById('record-btn');
+  const clearBtn = document.getElementById('clear-btn');
+  const listEl = document.getElementById('gesture-list');
+
+  // ═══ STATE ═══
+  const classifier = GestureClassifier.load();
+  let recording = null;              // { name, start, lastSample, samples } — kept until it finishes
+  let countdownTimer = null;
+
+  // ═══ HAND TRACKER ═══
+  const handTracker = new HandCursor({
+    onReady: () => {
+      statusEl.textContent = '✅ Camera ready — name a pose and record it';
+      statusEl.classList.add('ready');
+      recordBtn.disabled = false;
+      const stream = handTracker.getStream();
+      if (stream) video.srcObject = stream;
+    },
+    onError: (err) => {
+      statusEl.textContent = '❌ Camera error: ' + err.message;
+      statusEl.classList.add('error');
+    }
+  });
+
+  // Mouse drives this page — hide the finger cursor
+  handTracker.init().then(() => {
+    if (handTracker.cursorEl) handTracker.cursorEl.style.display = 'none';
+  });
+
+  HandPreference.applyPreview([video, skeletonCanvas], handTracker.mirror);
+  handTracker.on('preferencechange', e => HandPreference.applyPreview([video, skeletonCanvas], e.mirror));
+  new HandOverlay(skeletonCanvas, { handCursor: handTracker, video, color: 'rgba(0, 255, 255, 0.8)' });
+
+  const aspect = () => video.videoWidth ? video.videoWidth / video.videoHeight : undefined;
+
+  // ═══ LIVE CLASSIFICATION + SAMPLING ═══
+  handTracker.on('handmove', (e) => {
+    const hand = e.handState;
+    if (hand.id !== handTracker.primaryHand || hand.coasting || !hand.landmarks) return;
+
+    if (recording && recording.start && e.timestamp - recording.lastSample >= SAMPLE_INTERVAL_MS) {
+      recording.lastSample = e.timestamp;
+      recording.samples.push({ landmarks: hand.landmarks, hand: hand.id, aspect: aspect() });
+      if (e.timestamp - recording.start >= RECORD_MS) finishRecording();
+    }
+
+    showPrediction(classifier.classify(hand.landmarks, { hand: hand.id, aspect: aspect() }), hand.id);
+  });
+
+  handTracker.on('handlost', () => {
+    if (!handTracker.getHand()) showPrediction(null);
+  });
+
+  function showPrediction(result, handId) {
+    const names = classifier.getGestureNames();
+    if (!result || !names.length) {
+      predictionLabel.textContent = '—';
+      predictionDetail.textContent = names.length ? 'Show your hand' : 'Record a pose to start classifying';
+      highlight(null);
+      return;
+    }
+    predictionLabel.textContent = result.label || '?';
+    predictionDetail.textContent = result.label
+      ? `${Math.round(result.confidence * 100)}% — ${handId} hand, nearest sample ${result.distance.toFixed(2)}`
+      : `No trained pose close enough (nearest ${result.distance.toFixed(2)}, limit ${classifier.maxDistance})`;
+    highlight(result.label);
+  }
+
+  function highlight(name) {
+    listEl.querySelectorAll('.gesture-row').forEach(row => {
+      row.classList.toggle('active', row.dataset.name === name);
+    });
+  }
+
+  // ═══ RECORDING ═══
+  function startRecording() {
+    if (recording || recordBtn.disabled) return;
+    const name = nameInput.value.trim().toLowerCase().replace(/\s+/g, '-');
+    if (!NAME_PATTERN.test(name)) {
+      statusEl.textContent = '⚠️ Use letters, digits and dashes for the name';
+      return;
+    }
+    // Trained gestures go into the same registry — don't shadow pinch, fist...
+    if (handTracker.gestures.has(name) && !classifier.getSampleCount(name)) {
+      statusEl.textContent = `⚠️ "${name}" is a built-in gesture — pick another name`;
+      return;
+    }
+
+    recording = { name, start: 0, lastSample: 0, samples: [] };
+    recordBtn.classList.add('recording');
+    recordBtn.textContent = '⏹ CANCEL';
+    countdownEl.classList.remove('hidden');
+
+    const countdownStart = performance.now();
+    const tick = () => {
+      const remaining = COUNTDOWN_MS - (performance.now() - countdownStart);
+      if (remaining > 0) {
+        countdownEl.textContent = Math.ceil(remaining / 1000);
+        statusEl.textContent = `✋ Get ready to show "${name}"...`;
+        countdownTimer = setTimeout(tick, 100);
+        return;
+      }
+      countdownEl.textContent = '⏺';
+      statusEl.textContent = `⏺ Recording "${name}" — hold it, tilt it a little`;
+      recording.start = performance.now();
+    };
+    tick();
+  }
+
+  function finishRecording() {
+    const { name, samples } = recording;
+    let count = 0;
+    samples.forEach(sample => {
+      count = classifier.addSample(name, sample.landmarks, { hand: sample.hand, aspect: sample.aspect });
+    });
+    stopRecording();
+    classifier.save();
+    renderList();
+    statusEl.textContent = `✅ "${name}" saved — ${count} samples`;
+  }
+
+  function cancelRecording() {
+    stopRecording();
+    statusEl.textContent = 'Recording cancelled';
+  }
+
+  function stopRecording() {
+    clearTimeout(countdownTimer);
+    recording = null;
+    recordBtn.classList.remove('recording');
+    recordBtn.textContent = '⏺ RECORD (R)';
+    countdownEl.classList.add('hidden');
+  }
+
+  // ═══ GESTURE LIST ═══
+  function renderList() {
+    const names = classifier.getGestureNames();
+    listEl.innerHTML = names.length ? '' : '<div class="gesture-empty">Nothing trained yet</div>';
+    names.forEach(name => {
+      const row = document.createElement('div');
+      row.className = 'gesture-row';
+      row.dataset.name = name;
+      row.innerHTML = `
+        <span class="gesture-name"></span>
+        <span class="gesture-count">${classifier.getSampleCount(name)} samples</span>
+        <button title="Delete">✕</button>
+      `;
+      row.querySelector('.gesture-name').textContent = name;
+      row.querySelector('button').addEventListener('click', () => {
+        classifier.removeGesture(name);
+        classifier.save();
+        renderList();
+      });
+      listEl.appendChild(row);
+    });
+  }
+
+  // ═══ CONTROLS ═══
+  recordBtn.addEventListener('click', () => {
+    if (recording) cancelRecording();
+    else startRecording();
+  });
+
+  clearBtn.addEventListener('click', () => {
+    if (!classifier.getGestureNames().length || !confirm('Delete every trained pose?')) return;
+    classifier.clear();
+    classifier.save();
+    renderList();
+  });
+
+  nameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') startRecording();
+  });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.target === nameInput) return;
+    if (e.code === 'KeyR') {
+      if (recording) cancelRecording();
+      else startRecording();
+    } else if (e.code === 'Escape' && recording) {
+      cancelRecording();
+    }
+  });
+
+  // ═══ START ═══
+  renderList();
+
+})();
@@ -0,0 +1,116 @@
+/* ═══════════════════════════════════════════════════════════
+   🙌 TWO-HAND GESTURES — Spread / twist / pan and claps
+   Uses HandPreference (hand-preference.js) for mirroring.
+   Load before hand-tracker.js
+   ═══════════════════════════════════════════════════════════ */
+
+// ═══════════════════════════════════════
+//  TWO HANDS
+//  Continuous signal while both hands are
+//  up: gap (scale), angle (rotation) and
+//  midpoint (pan) of the palm centres.
+//  Gap is in hand sizes, so it doesn't
+//  change when the player steps back.
+//  Claps: palms meeting fast — also when
+//  one hand vanishes behind the other.
+// ═══════════════════════════════════════
+class TwoHandGestures {
+  constructor(options = {}) {
+    this.mirror = options.mirror !== undefined ? options.mirror : true;   // see HandPreference
+    this.CLAP_SPAN = options.clapSpan || 0.9;              // palm gap in hand sizes
+    this.CLAP_MIN_SPEED = options.clapMinSpeed || 4;       // closing speed, hand sizes per second
+    this.CLAP_COOLDOWN_MS = options.clapCooldownMs || 600;
+
+    this.active = false;
+    this.start = null;        // signal when both hands appeared
+    this.last = null;         // latest signal from fresh landmarks
+    this.closingSpeed = 0;    // from fresh frames only
+    this.lastClap = -Infinity;
+    this.dropped = false;     // a hand is coasting or gone since the last fresh frame
+  }
+
+  // left / right: { landmarks, stale } or null (stale = coasting, landmarks are old).
+  // aspect: video width / height. Returns events:
+  //   { type: 'twohandstart' | 'twohandmove' | 'twohandend' | 'clap', ...signal }
+  update(left, right, timestamp, aspect = 16 / 9) {
+    const events = [];
+    const both = left && right;
+    const fresh = both && !left.stale && !right.stale;
+
+    if (fresh) {
+      const signal = TwoHandGestures.measure(left.landmarks, right.landmarks, aspect, this.mirror);
+      if (this.last && this.active) {
+        const dt = (timestamp - this.last.timestamp) / 1000;
+        if (dt > 0) this.closingSpeed = this.closingSpeed * 0.4 + ((this.last.span - signal.span) / dt) * 0.6;
+      }
+      signal.timestamp = timestamp;
+
+      if (!this.active) {
+        this.active = true;
+        this.start = signal;
+        this.closingSpeed = 0;
+        events.push(this._event('twohandstart', signal));
+      } else {
+        events.push(this._event('twohandmove', signal));
+      }
+      this.last = signal;
+      this.dropped = false;
+
+      if (signal.span < this.CLAP_SPAN) this._clap(events, timestamp);
+      return events;
+    }
+
+    // Palms that were closing in fast hide each other — count it as a clap on
+    // the first frame a hand coasts or drops out, using the speed before it did
+    if (this.active && !this.dropped) {
+      this.dropped = true;
+      if (this.last && this.last.span < this.CLAP_SPAN * 2) this._clap(events, timestamp);
+    }
+    if (this.active && !both) {
+      events.push(this._event('twohandend', this.last));
+      this.active = false;
+      this.start = this.last = null;
+      this.closingSpeed = 0;
+      this.dropped = false;
+    }
+    return events;
+  }
+
+  _clap(events, timestamp) {
+    if (this.closingSpeed < this.CLAP_MIN_SPEED || timestamp - this.lastClap < this.CLAP_COOLDOWN_MS) return;
+    this.lastClap = timestamp;
+    events.push(this._event('clap', this.last, { speed: this.closingSpeed }));
+  }
+
+  // Adds the change since both hands appeared: scale (ratio), rotation (radians), pan
+  _event(type, signal, extra = {}) {
+    const s = this.start;
+    let rotation = signal.angle - s.angle;
+    if (rotation > Math.PI) rotation -= 2 * Math.PI;
+    if (rotation < -Math.PI) rotation += 2 * Math.PI;
+    return Object.assign({
+      type,
+      x: signal.x, y: signal.y,
+      span: signal.span,
+      angle: signal.angle,
+      scale: signal.span / s.span,
+      rotation,
+      pan: { x: signal.x - s.x, y: signal.y - s.y }
+    }, extra);
+  }
+
+  // Palm centres in player-view coords; angle is left → right hand,
+  // clockwise-positive on screen, with x stretched by the aspect ratio
+  static measure(leftLandmarks, rightLandmarks, aspect, mirror = true) {
+    const palm = lm => ({ x: HandPreference.viewX((lm[0].x + lm[9].x) / 2, mirror), y: (lm[0].y + lm[9].y) / 2 });
+    const size = lm => Math.max(1e-3, Math.hypot((lm[9].x - lm[0].x) * aspect, lm[9].y - lm[0].y));
+    const a = palm(leftLandmarks), b = palm(rightLandmarks);
+    const dx = (b.x - a.x) * aspect, dy = b.y - a.y;
+    return {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      span: Math.hypot(dx, dy) / ((size(leftLandmarks) + size(rightLandmarks)) / 2),
+      angle: Math.atan2(dy, dx)
+    };
+  }
+}